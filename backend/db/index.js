@@ -0,0 +1,48 @@
+// SQLite connection shared by the server and the migration CLI
+const sqlite3 = require('sqlite3').verbose();
+
+const DB_FILE = process.env.DB_FILE || './tokpay.db';
+
+// Queries issued before the file is open wait for it, and reject if it
+// could not be opened.
+function openDatabase(filename = DB_FILE) {
+  return new sqlite3.Database(filename, (err) => {
+    if (err) {
+      console.error('❌ Database connection failed:', err);
+    }
+  });
+}
+
+// Promise wrappers around the sqlite3 callback API
+function createHelpers(db) {
+  function run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) return reject(err);
+        resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  function get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+  }
+
+  function all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  }
+
+  function close() {
+    return new Promise((resolve, reject) => {
+      db.close((err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  return { run, get, all, close };
+}
+
+module.exports = { DB_FILE, openDatabase, createHelpers };
@@ -0,0 +1,133 @@
+// Numbered schema migrations. Each file in migrations/ is NNN_name.js and
+// exports `async up(db)`, where db has the promise helpers from ./index.
+// Applied versions are recorded in schema_migrations; a migration and its
+// record commit together, so a failed migration leaves no trace.
+//
+//   node db/migrate.js          apply pending migrations
+//   node db/migrate.js status   list applied and pending migrations
+const fs = require('fs');
+const path = require('path');
+const { DB_FILE, openDatabase, createHelpers } = require('.');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_(\w+)\.js$/;
+
+// The database was migrated by newer code than this; running against it
+// could silently misread or corrupt data, so callers should stop.
+class SchemaTooNewError extends Error {
+  constructor(versions) {
+    super(`Database has migrations this code does not know about (${versions.join(', ')}). Update the server before starting it.`);
+    this.code = 'schema_too_new';
+    this.versions = versions;
+  }
+}
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map((file) => {
+      const match = MIGRATION_FILE.exec(file);
+      if (!match) return null;
+      return {
+        version: Number(match[1]),
+        name: match[2],
+        up: require(path.join(dir, file)).up,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Two migrations are numbered ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+async function getStatus(db, migrations = loadMigrations()) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  const applied = await db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  const appliedVersions = new Set(applied.map((row) => row.version));
+  const knownVersions = new Set(migrations.map((migration) => migration.version));
+
+  return {
+    applied,
+    pending: migrations.filter((migration) => !appliedVersions.has(migration.version)),
+    unknown: applied.filter((row) => !knownVersions.has(row.version)),
+  };
+}
+
+// Refuses a database with migrations this code does not have, then applies
+// the pending ones in order. Returns the migrations that were applied.
+async function migrate(db, migrations = loadMigrations()) {
+  const { pending, unknown } = await getStatus(db, migrations);
+  if (unknown.length > 0) {
+    throw new SchemaTooNewError(unknown.map((row) => row.version));
+  }
+
+  for (const migration of pending) {
+    await db.run('BEGIN IMMEDIATE');
+    try {
+      await migration.up(db);
+      await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [
+        migration.version,
+        migration.name,
+      ]);
+      await db.run('COMMIT');
+    } catch (error) {
+      await db.run('ROLLBACK');
+      error.message = `Migration ${migration.version}_${migration.name} failed: ${error.message}`;
+      throw error;
+    }
+  }
+  return pending;
+}
+
+function formatVersion(version) {
+  return String(version).padStart(3, '0');
+}
+
+async function main(command = 'up') {
+  const db = createHelpers(openDatabase());
+  try {
+    if (command === 'up') {
+      const applied = await migrate(db);
+      applied.forEach((migration) => {
+        console.log(`✅ Applied ${formatVersion(migration.version)}_${migration.name}`);
+      });
+      console.log(applied.length > 0 ? `${DB_FILE} is up to date` : `${DB_FILE} was already up to date`);
+    } else if (command === 'status') {
+      const { applied, pending, unknown } = await getStatus(db);
+      applied.forEach((row) => {
+        const note = unknown.includes(row) ? '  (unknown to this code)' : '';
+        console.log(`applied  ${formatVersion(row.version)}_${row.name}  ${row.applied_at}${note}`);
+      });
+      pending.forEach((migration) => {
+        console.log(`pending  ${formatVersion(migration.version)}_${migration.name}`);
+      });
+      if (unknown.length > 0) {
+        process.exitCode = 1;
+      }
+    } else {
+      console.error('Usage: node db/migrate.js [up|status]');
+      process.exitCode = 1;
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv[2]).catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { SchemaTooNewError, loadMigrations, getStatus, migrate };
@@ -0,0 +1,72 @@
+// Schema exactly as initDatabase() created it before migrations existed.
+// Every statement is IF NOT EXISTS, so databases made by that code adopt
+// this migration unchanged. Amounts were rupees in REAL columns then;
+// 002 converts them. Everything added since has its own migration.
+module.exports = {
+  async up(db) {
+    // Users table with password
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phone TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        name TEXT NOT NULL,
+        pin_hash TEXT,
+        balance REAL DEFAULT 0,
+        offline_balance REAL DEFAULT 0,
+        public_key TEXT NOT NULL,
+        is_verified INTEGER DEFAULT 0,
+        failed_attempts INTEGER DEFAULT 0,
+        locked_until DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Merchants table with password
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS merchants (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        merchant_id TEXT UNIQUE NOT NULL,
+        phone TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        name TEXT NOT NULL,
+        pin_hash TEXT,
+        balance REAL DEFAULT 0,
+        public_key TEXT NOT NULL,
+        is_verified INTEGER DEFAULT 0,
+        failed_attempts INTEGER DEFAULT 0,
+        locked_until DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Transactions table
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS transactions (
+        txn_id TEXT PRIMARY KEY,
+        from_phone TEXT NOT NULL,
+        to_merchant TEXT NOT NULL,
+        amount REAL NOT NULL,
+        counter INTEGER NOT NULL,
+        signature TEXT NOT NULL,
+        status TEXT DEFAULT 'pending',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        synced_at DATETIME
+      )
+    `);
+
+    // Refresh tokens table (for secure logout)
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_phone TEXT,
+        merchant_id TEXT,
+        token_hash TEXT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+};
@@ -0,0 +1,17 @@
+// Amounts were rupees in REAL columns; they become whole paise. The
+// columns keep their REAL affinity, but only ever hold whole numbers of
+// paise from now on.
+const PAISE_COLUMNS = [
+  ['users', 'balance'],
+  ['users', 'offline_balance'],
+  ['merchants', 'balance'],
+  ['transactions', 'amount'],
+];
+
+module.exports = {
+  async up(db) {
+    for (const [table, column] of PAISE_COLUMNS) {
+      await db.run(`UPDATE ${table} SET ${column} = CAST(ROUND(${column} * 100) AS INTEGER)`);
+    }
+  },
+};
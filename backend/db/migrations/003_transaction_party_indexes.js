@@ -0,0 +1,7 @@
+// GET /api/transactions lists a payer's or a merchant's history
+module.exports = {
+  async up(db) {
+    await db.run('CREATE INDEX idx_transactions_from_phone ON transactions (from_phone)');
+    await db.run('CREATE INDEX idx_transactions_to_merchant ON transactions (to_merchant)');
+  },
+};
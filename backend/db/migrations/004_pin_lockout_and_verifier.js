@@ -0,0 +1,11 @@
+// PIN lockout after repeated wrong PINs, and the verifier the apps use to
+// check the PIN offline
+module.exports = {
+  async up(db) {
+    for (const table of ['users', 'merchants']) {
+      await db.run(`ALTER TABLE ${table} ADD COLUMN pin_verifier TEXT`);
+      await db.run(`ALTER TABLE ${table} ADD COLUMN pin_failed_attempts INTEGER DEFAULT 0`);
+      await db.run(`ALTER TABLE ${table} ADD COLUMN pin_locked_until DATETIME`);
+    }
+  },
+};
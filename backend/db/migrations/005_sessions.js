@@ -0,0 +1,34 @@
+// Sessions: one per login, shared by every refresh token rotated from it.
+// Refresh tokens now belong to a session. Tokens stored before sessions
+// existed have none, and the refresh endpoint refuses them anyway (they
+// lack the refresh `typ` claim), so they are dropped: those devices log in
+// again.
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        owner_type TEXT NOT NULL,
+        owner_id TEXT NOT NULL,
+        device_label TEXT,
+        created_at DATETIME NOT NULL,
+        last_used_at DATETIME NOT NULL,
+        revoked_at DATETIME
+      )
+    `);
+    await db.run('CREATE INDEX idx_sessions_owner ON sessions(owner_type, owner_id)');
+
+    await db.run('DROP TABLE refresh_tokens');
+    await db.run(`
+      CREATE TABLE refresh_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT NOT NULL REFERENCES sessions(id),
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.run('CREATE INDEX idx_refresh_tokens_session ON refresh_tokens(session_id)');
+  },
+};
@@ -0,0 +1,28 @@
+// Signing keys per account: one per enrolled device (wallet or merchant)
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE devices (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        owner_type TEXT NOT NULL,
+        owner_id TEXT NOT NULL,
+        public_key TEXT UNIQUE NOT NULL,
+        label TEXT,
+        status TEXT NOT NULL DEFAULT 'active',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        retired_at DATETIME
+      )
+    `);
+    await db.run('CREATE INDEX idx_devices_owner ON devices (owner_type, owner_id)');
+
+    // Accounts registered before devices existed get their key as a device
+    await db.run(`
+      INSERT OR IGNORE INTO devices (owner_type, owner_id, public_key, label)
+      SELECT 'user', phone, public_key, 'Primary device' FROM users
+    `);
+    await db.run(`
+      INSERT OR IGNORE INTO devices (owner_type, owner_id, public_key, label)
+      SELECT 'merchant', merchant_id, public_key, 'Primary device' FROM merchants
+    `);
+  },
+};
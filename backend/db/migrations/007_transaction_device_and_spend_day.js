@@ -0,0 +1,10 @@
+// Which of the payer's devices signed a payment, and the spend day it
+// counts against for the daily limit. Older rows have neither.
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE transactions ADD COLUMN device_id INTEGER');
+    await db.run('ALTER TABLE transactions ADD COLUMN spend_day TEXT');
+    await db.run('CREATE INDEX idx_transactions_payer_counter ON transactions (from_phone, device_id, counter)');
+    await db.run('CREATE INDEX idx_transactions_payer_day ON transactions (from_phone, spend_day)');
+  },
+};
@@ -0,0 +1,15 @@
+// Highest counter accepted per payer device (replay / double-spend guard).
+// Each device signs with its own key and keeps its own counter.
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE payer_counters (
+        phone TEXT NOT NULL,
+        device_id INTEGER NOT NULL,
+        last_counter INTEGER NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (phone, device_id)
+      )
+    `);
+  },
+};
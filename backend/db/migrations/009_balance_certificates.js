@@ -0,0 +1,16 @@
+// Offline balance certificates issued on load-balance (serial = id)
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE balance_certificates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phone TEXT NOT NULL,
+        amount INTEGER NOT NULL,
+        counter_start INTEGER NOT NULL,
+        issued_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+};
@@ -0,0 +1,15 @@
+// Revoked signing keys; id doubles as the revocation list version
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE key_revocations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phone TEXT NOT NULL,
+        public_key TEXT UNIQUE NOT NULL,
+        reason TEXT,
+        revoked_by TEXT NOT NULL,
+        revoked_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+};
@@ -0,0 +1,13 @@
+// Single-use challenges a client signs to prove it holds a secret key
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE key_challenges (
+        challenge TEXT PRIMARY KEY,
+        purpose TEXT NOT NULL,
+        expires_at INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+};
@@ -0,0 +1,19 @@
+// One-time codes sent by SMS. The newest row per account and purpose is the live one.
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE otp_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        account_type TEXT NOT NULL,
+        phone TEXT NOT NULL,
+        purpose TEXT NOT NULL,
+        code_hash TEXT NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        expires_at INTEGER NOT NULL,
+        consumed_at INTEGER,
+        created_at INTEGER NOT NULL
+      )
+    `);
+    await db.run('CREATE INDEX idx_otp_codes_account ON otp_codes(account_type, phone, purpose)');
+  },
+};
@@ -0,0 +1,16 @@
+// Counter ranges that were skipped: tokens signed but not (yet) synced
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE counter_gaps (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phone TEXT NOT NULL,
+        device_id INTEGER NOT NULL,
+        start_counter INTEGER NOT NULL,
+        end_counter INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.run('CREATE INDEX idx_counter_gaps_phone ON counter_gaps (phone)');
+  },
+};
@@ -0,0 +1,42 @@
+// Double-entry ledger. Accounts: one per owner and kind, with a cached
+// running balance. The balance columns on users/merchants are legacy and
+// only read once, when an owner's accounts are first opened.
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE ledger_accounts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        owner_type TEXT NOT NULL,
+        owner_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        balance INTEGER NOT NULL DEFAULT 0,
+        allow_negative INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (owner_type, owner_id, kind)
+      )
+    `);
+
+    // Journal entries group balanced lines (signed amounts summing to zero)
+    await db.run(`
+      CREATE TABLE journal_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entry_type TEXT NOT NULL,
+        reference TEXT,
+        memo TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE journal_lines (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entry_id INTEGER NOT NULL REFERENCES journal_entries (id),
+        account_id INTEGER NOT NULL REFERENCES ledger_accounts (id),
+        amount INTEGER NOT NULL
+      )
+    `);
+
+    await db.run('CREATE INDEX idx_journal_lines_account ON journal_lines (account_id)');
+    await db.run('CREATE INDEX idx_journal_lines_entry ON journal_lines (entry_id)');
+  },
+};
@@ -0,0 +1,41 @@
+// Signed tokens that could not be honoured (double-spend or overdraft),
+// kept with their evidence until someone resolves the case, and the risk
+// flags raised against payers
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE quarantine_cases (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        txn_id TEXT UNIQUE NOT NULL,
+        reason TEXT NOT NULL,
+        payer_phone TEXT NOT NULL,
+        merchant_id TEXT NOT NULL,
+        amount INTEGER NOT NULL,
+        counter INTEGER NOT NULL,
+        device_id INTEGER,
+        token TEXT NOT NULL,
+        conflicting_txn_id TEXT,
+        conflicting_merchant_id TEXT,
+        conflicting_token TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        resolution TEXT,
+        resolution_note TEXT,
+        resolved_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE payer_flags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phone TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        case_id INTEGER REFERENCES quarantine_cases (id),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run('CREATE INDEX idx_quarantine_cases_status ON quarantine_cases (status)');
+    await db.run('CREATE INDEX idx_payer_flags_phone ON payer_flags (phone)');
+  },
+};
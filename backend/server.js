@@ -1,14 +1,31 @@
 // Import required packages
 const express = require('express');
 const bodyParser = require('body-parser');
-const sqlite3 = require('sqlite3').verbose();
 const nacl = require('tweetnacl');
 const naclUtil = require('tweetnacl-util');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
+const { createSmsSender } = require('./sms');
+const { openDatabase, createHelpers } = require('./db');
+const { migrate } = require('./db/migrate');
+const {
+  validatePayment,
+  checkPaymentLimits,
+  verifyPayment,
+  signCertificate,
+  signPolicy,
+  signRevocationList,
+  CERTIFICATE_VERSION,
+  decodeToken,
+  TokenError,
+  isPaise,
+  formatRupees,
+} = require('@tokpay/core');
 
 // Create Express app
 const app = express();
@@ -17,13 +34,43 @@ const app = express();
 app.use(helmet()); // Adds security headers
 app.use(bodyParser.json({ limit: '10kb' })); // Limit body size
 
-// Rate limiting - prevent brute force attacks
+// Rate limiting - prevent brute force attacks. Token refreshes are routine
+// and OTP codes have their own attempt limits, so they get looser limiters
+// of their own instead of the password one.
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5, // 5 attempts per window
   message: { error: 'Too many attempts, please try again after 15 minutes' },
   standardHeaders: true,
   legacyHeaders: false,
+  skip: (req) => req.path === '/refresh',
+});
+
+// Per session, so devices sharing an address don't starve each other
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  message: { error: 'Too many refreshes, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    const decoded = typeof req.body.refreshToken === 'string' ? jwt.decode(req.body.refreshToken) : null;
+    return decoded && decoded.sid ? `session:${decoded.sid}` : req.ip;
+  },
+});
+
+// Per account phone. Mount after authenticateToken on protected routes, so
+// the phone comes from the token rather than the body.
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  message: { error: 'Too many code requests, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    const { type, phone } = req.user || { type: req.body.accountType, phone: req.body.phone };
+    return typeof phone === 'string' ? `otp:${type}:${phone}` : req.ip;
+  },
 });
 
 const apiLimiter = rateLimit({
@@ -33,95 +80,131 @@ const apiLimiter = rateLimit({
 });
 
 app.use('/api/auth', authLimiter);
+app.use('/api/auth/refresh', refreshLimiter);
 app.use('/api', apiLimiter);
 
 // JWT Configuration
 const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(64).toString('hex');
 const JWT_EXPIRES_IN = '7d';
 const BCRYPT_ROUNDS = 12;
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days, matches the refresh JWT
+
+// Offline balance certificates
+const SERVER_KEY_FILE = './server-key.json';
+const CERTIFICATE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Limits and timings shared with the apps, which cache the signed copy from
+// GET /api/policy. Change them in policy.json and bump its version.
+const POLICY_FILE = process.env.POLICY_FILE || path.join(__dirname, 'policy.json');
+const POLICY_FIELDS = [
+  'version', 'maxPaymentPaise', 'dailySpendLimitPaise', 'maxOfflineBalancePaise',
+  'spendDayUtcOffsetMinutes', 'qrExpirySeconds', 'tokenMaxAgeSeconds',
+];
+const POLICY_PAISE_FIELDS = ['maxPaymentPaise', 'dailySpendLimitPaise', 'maxOfflineBalancePaise'];
+
+// Ed25519 key the server signs certificates with. Merchant apps pin its public key,
+// so it must stay stable: set SERVER_SIGNING_KEY (base64 32-byte seed) in production,
+// otherwise one is generated on first start and kept in server-key.json.
+function loadServerKeyPair() {
+  if (process.env.SERVER_SIGNING_KEY) {
+    const seed = naclUtil.decodeBase64(process.env.SERVER_SIGNING_KEY);
+    if (seed.length !== nacl.sign.seedLength) {
+      throw new Error('SERVER_SIGNING_KEY must be a base64 encoded 32-byte seed');
+    }
+    return nacl.sign.keyPair.fromSeed(seed);
+  }
 
-// Initialize SQLite database
-const db = new sqlite3.Database('./tokpay.db', (err) => {
-  if (err) {
-    console.error('❌ Database connection failed:', err);
-  } else {
-    console.log('✅ Connected to SQLite database');
-    initDatabase();
-  }
-});
-
-// Create tables with authentication fields
-function initDatabase() {
-  // Users table with password
-  db.run(`
-    CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      phone TEXT UNIQUE NOT NULL,
-      password_hash TEXT NOT NULL,
-      name TEXT NOT NULL,
-      pin_hash TEXT,
-      balance REAL DEFAULT 0,
-      offline_balance REAL DEFAULT 0,
-      public_key TEXT NOT NULL,
-      is_verified INTEGER DEFAULT 0,
-      failed_attempts INTEGER DEFAULT 0,
-      locked_until DATETIME,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Merchants table with password
-  db.run(`
-    CREATE TABLE IF NOT EXISTS merchants (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      merchant_id TEXT UNIQUE NOT NULL,
-      phone TEXT UNIQUE NOT NULL,
-      password_hash TEXT NOT NULL,
-      name TEXT NOT NULL,
-      pin_hash TEXT,
-      balance REAL DEFAULT 0,
-      public_key TEXT NOT NULL,
-      is_verified INTEGER DEFAULT 0,
-      failed_attempts INTEGER DEFAULT 0,
-      locked_until DATETIME,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Transactions table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS transactions (
-      txn_id TEXT PRIMARY KEY,
-      from_phone TEXT NOT NULL,
-      to_merchant TEXT NOT NULL,
-      amount REAL NOT NULL,
-      counter INTEGER NOT NULL,
-      signature TEXT NOT NULL,
-      status TEXT DEFAULT 'pending',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      synced_at DATETIME
-    )
-  `);
-
-  // Refresh tokens table (for secure logout)
-  db.run(`
-    CREATE TABLE IF NOT EXISTS refresh_tokens (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_phone TEXT,
-      merchant_id TEXT,
-      token_hash TEXT NOT NULL,
-      expires_at DATETIME NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  console.log('✅ Database tables initialized');
+  if (fs.existsSync(SERVER_KEY_FILE)) {
+    const { seed } = JSON.parse(fs.readFileSync(SERVER_KEY_FILE, 'utf8'));
+    return nacl.sign.keyPair.fromSeed(naclUtil.decodeBase64(seed));
+  }
+
+  const seed = nacl.randomBytes(nacl.sign.seedLength);
+  fs.writeFileSync(SERVER_KEY_FILE, JSON.stringify({ seed: naclUtil.encodeBase64(seed) }), { mode: 0o600 });
+  return nacl.sign.keyPair.fromSeed(seed);
+}
+
+const serverKeyPair = loadServerKeyPair();
+const SERVER_PUBLIC_KEY = naclUtil.encodeBase64(serverKeyPair.publicKey);
+
+// Read and check the policy file. A bad policy stops the server rather than
+// letting it run with limits the apps don't share.
+function loadPolicy() {
+  const policy = JSON.parse(fs.readFileSync(POLICY_FILE, 'utf8'));
+  for (const field of POLICY_FIELDS) {
+    if (typeof policy[field] !== 'number' || !Number.isFinite(policy[field])) {
+      throw new Error(`${POLICY_FILE}: ${field} must be a number`);
+    }
+  }
+  if (!Number.isInteger(policy.version) || policy.version < 1) {
+    throw new Error(`${POLICY_FILE}: version must be a positive integer`);
+  }
+  for (const field of POLICY_PAISE_FIELDS) {
+    if (!isPaise(policy[field])) {
+      throw new Error(`${POLICY_FILE}: ${field} must be a positive whole number of paise`);
+    }
+  }
+  return policy;
+}
+
+const POLICY = loadPolicy();
+
+// OTP delivery, chosen by SMS_PROVIDER (see sms/index.js)
+const smsSender = createSmsSender();
+
+// SQLite database. The schema comes from db/migrations, applied at startup.
+const db = openDatabase();
+const dbHelpers = createHelpers(db);
+const { run: dbRun, get: dbGet, all: dbAll } = dbHelpers;
+
+// Thrown inside withTransaction when a balance guard trips; rolls back the work
+class GuardError extends Error {
+  constructor(code, message) {
+    super(message || code);
+    this.code = code;
+  }
+}
+
+// Run `work` inside a SQLite transaction: commit if it resolves, roll back if it throws.
+// All requests share one connection, so transactions are queued rather than nested.
+let transactionQueue = Promise.resolve();
+
+function withTransaction(work) {
+  const run = transactionQueue.then(async () => {
+    await dbRun('BEGIN IMMEDIATE');
+    try {
+      const result = await work();
+      await dbRun('COMMIT');
+      return result;
+    } catch (error) {
+      await dbRun('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  });
+
+  transactionQueue = run.catch(() => {});
+  return run;
 }
 
 // ==================== AUTH MIDDLEWARE ====================
 
+// Admin routes use a shared key from the environment; they are disabled without one
+function authenticateAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({ error: 'Admin API not configured' });
+  }
+
+  const provided = req.headers['x-admin-key'] || '';
+  const expectedHash = crypto.createHash('sha256').update(adminKey).digest();
+  const providedHash = crypto.createHash('sha256').update(provided).digest();
+
+  if (!crypto.timingSafeEqual(expectedHash, providedHash)) {
+    return res.status(403).json({ error: 'Invalid admin key' });
+  }
+  next();
+}
+
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
@@ -137,20 +220,109 @@ function authenticateToken(req, res, next) {
       }
       return res.status(403).json({ error: 'Invalid token' });
     }
-    req.user = decoded;
+    if (decoded.typ === 'refresh' || !decoded.sid) {
+      return res.status(403).json({ error: 'Invalid token' });
+    }
+
+    // Revoking a session must cut off its access tokens too, not just refresh
+    db.get('SELECT revoked_at FROM sessions WHERE id = ?', [decoded.sid], (err, session) => {
+      if (err) {
+        return res.status(500).json({ error: 'Server error' });
+      }
+      if (!session || session.revoked_at) {
+        return res.status(401).json({ error: 'Session revoked', code: 'SESSION_REVOKED' });
+      }
+      req.user = decoded;
+      next();
+    });
+  });
+}
+
+// Money only moves for accounts whose phone number has been verified by OTP
+function requireVerifiedPhone(req, res, next) {
+  const table = req.user.type === 'merchant' ? 'merchants' : 'users';
+
+  db.get(`SELECT is_verified FROM ${table} WHERE phone = ?`, [req.user.phone], (err, account) => {
+    if (err) {
+      return res.status(500).json({ error: 'Server error' });
+    }
+    if (!account || !account.is_verified) {
+      return res.status(403).json({ error: 'Verify your phone number first', code: 'phone_unverified' });
+    }
     next();
   });
 }
 
-// Generate tokens
-function generateTokens(payload) {
-  const accessToken = jwt.sign(payload, JWT_SECRET, { expiresIn: '15m' });
-  const refreshToken = jwt.sign(payload, JWT_SECRET, { expiresIn: '7d' });
+// Generate tokens for a session. Refresh tokens carry a unique jti so every
+// rotation stores a distinct hash.
+function generateTokens(payload, sessionId) {
+  const accessToken = jwt.sign({ ...payload, sid: sessionId }, JWT_SECRET, { expiresIn: '15m' });
+  const refreshToken = jwt.sign(
+    { ...payload, sid: sessionId, typ: 'refresh' },
+    JWT_SECRET,
+    { expiresIn: '7d', jwtid: crypto.randomUUID() }
+  );
   return { accessToken, refreshToken };
 }
 
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Issue tokens in a session and store the refresh token hash
+async function issueTokens(payload, sessionId) {
+  const tokens = generateTokens(payload, sessionId);
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS).toISOString();
+
+  await dbRun(
+    'INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES (?, ?, ?)',
+    [sessionId, hashToken(tokens.refreshToken), expiresAt]
+  );
+
+  return tokens;
+}
+
+// Start a session for a login or registration and issue its first tokens
+async function startSession(payload, deviceLabel) {
+  const { ownerType, ownerId } = deviceOwner(payload);
+  const sessionId = crypto.randomUUID();
+  const now = new Date().toISOString();
+
+  await dbRun(
+    `INSERT INTO sessions (id, owner_type, owner_id, device_label, created_at, last_used_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [sessionId, ownerType, ownerId, deviceLabel || 'Unknown device', now, now]
+  );
+
+  return issueTokens(payload, sessionId);
+}
+
+// Revoke an account's sessions, optionally keeping one (the caller's own)
+async function revokeSessions(ownerType, ownerId, keepSessionId = null) {
+  const result = await dbRun(
+    `UPDATE sessions SET revoked_at = ?
+     WHERE owner_type = ? AND owner_id = ? AND revoked_at IS NULL AND id IS NOT ?`,
+    [new Date().toISOString(), ownerType, ownerId, keepSessionId]
+  );
+  return result.changes;
+}
+
+function formatSession(row, currentSessionId) {
+  return {
+    id: row.id,
+    deviceLabel: row.device_label,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    current: row.id === currentSessionId
+  };
+}
+
 // Validate password strength
 function validatePassword(password) {
+  if (typeof password !== 'string') {
+    return { valid: false, error: 'Password is required' };
+  }
+
   const minLength = 8;
   const hasUpperCase = /[A-Z]/.test(password);
   const hasLowerCase = /[a-z]/.test(password);
@@ -184,6 +356,596 @@ function isAccountLocked(lockedUntil) {
   return new Date(lockedUntil) > new Date();
 }
 
+// Day (YYYY-MM-DD, in the policy's timezone) a payment signed at this time counts against
+function spendDay(timestamp) {
+  const offsetMs = POLICY.spendDayUtcOffsetMinutes * 60 * 1000;
+  return new Date(timestamp + offsetMs).toISOString().slice(0, 10);
+}
+
+// Total a payer has settled for one spend day, in paise
+async function getDailySpend(phone, day) {
+  const row = await dbGet(
+    'SELECT COALESCE(SUM(amount), 0) AS total FROM transactions WHERE from_phone = ? AND spend_day = ?',
+    [phone, day]
+  );
+  return row.total;
+}
+
+// Requests and tokens with a rupee `amount` come from app builds that predate
+// integer paise. They are refused outright rather than guessed at.
+const LEGACY_AMOUNT_ERROR = 'Amounts are now sent in paise as amountPaise. Please update the app';
+
+// Issue a certificate that the payer's device key holds `amountPaise` of offline
+// balance, valid for tokens from the device's next unseen counter onwards.
+// Must run inside withTransaction.
+async function issueBalanceCertificate(phone, device, amountPaise) {
+  const publicKey = device.public_key;
+  const counters = await dbGet(
+    'SELECT last_counter FROM payer_counters WHERE phone = ? AND device_id = ?',
+    [phone, device.id]
+  );
+  const counterStart = counters ? counters.last_counter + 1 : 0;
+  const issuedAt = Date.now();
+  const expiresAt = issuedAt + CERTIFICATE_TTL_MS;
+
+  const result = await dbRun(
+    'INSERT INTO balance_certificates (phone, amount, counter_start, issued_at, expires_at) VALUES (?, ?, ?, ?, ?)',
+    [phone, amountPaise, counterStart, issuedAt, expiresAt]
+  );
+
+  const cert = {
+    version: CERTIFICATE_VERSION,
+    serial: result.lastID,
+    phone,
+    publicKey,
+    amountPaise,
+    counterStart,
+    issuedAt,
+    expiresAt,
+  };
+  return signCertificate(cert, serverKeyPair.secretKey);
+}
+
+// Track the highest accepted counter for a payer and the gaps below it.
+// Counters can arrive out of order (different merchants sync at different
+// times), so a counter below the highest one fills a previously recorded gap.
+async function recordPayerCounter(phone, deviceId, counter) {
+  const row = await dbGet(
+    'SELECT last_counter FROM payer_counters WHERE phone = ? AND device_id = ?',
+    [phone, deviceId]
+  );
+  const lastCounter = row ? row.last_counter : -1;
+
+  if (counter > lastCounter) {
+    if (counter > lastCounter + 1) {
+      await dbRun(
+        'INSERT INTO counter_gaps (phone, device_id, start_counter, end_counter) VALUES (?, ?, ?, ?)',
+        [phone, deviceId, lastCounter + 1, counter - 1]
+      );
+    }
+    await dbRun(
+      `INSERT INTO payer_counters (phone, device_id, last_counter) VALUES (?, ?, ?)
+       ON CONFLICT(phone, device_id) DO UPDATE SET last_counter = excluded.last_counter, updated_at = CURRENT_TIMESTAMP`,
+      [phone, deviceId, counter]
+    );
+    return;
+  }
+
+  const gap = await dbGet(
+    'SELECT * FROM counter_gaps WHERE phone = ? AND device_id = ? AND start_counter <= ? AND end_counter >= ?',
+    [phone, deviceId, counter, counter]
+  );
+  if (!gap) return;
+
+  // Split the gap around the counter that just arrived
+  await dbRun('DELETE FROM counter_gaps WHERE id = ?', [gap.id]);
+  if (gap.start_counter < counter) {
+    await dbRun(
+      'INSERT INTO counter_gaps (phone, device_id, start_counter, end_counter, created_at) VALUES (?, ?, ?, ?, ?)',
+      [phone, deviceId, gap.start_counter, counter - 1, gap.created_at]
+    );
+  }
+  if (gap.end_counter > counter) {
+    await dbRun(
+      'INSERT INTO counter_gaps (phone, device_id, start_counter, end_counter, created_at) VALUES (?, ?, ?, ?, ?)',
+      [phone, deviceId, counter + 1, gap.end_counter, gap.created_at]
+    );
+  }
+}
+
+// ==================== LEDGER ====================
+
+// Accounts every owner gets; system accounts (seed credits, carried-over
+// balances) are opened on demand and may go negative.
+const ACCOUNT_KINDS = {
+  user: ['main', 'offline'],
+  merchant: ['merchant'],
+};
+
+const SYSTEM_OWNER = 'tokpay';
+
+// Guard codes reported when a posting would overdraw an account
+const INSUFFICIENT_FUNDS = {
+  main: 'insufficient_balance',
+  offline: 'insufficient_offline_balance',
+  merchant: 'insufficient_merchant_balance',
+};
+
+// Open an owner's ledger accounts, carrying over whatever is still held in the
+// legacy balance columns. Must run inside withTransaction.
+async function openAccounts(ownerType, ownerId) {
+  const existing = await dbGet(
+    'SELECT id FROM ledger_accounts WHERE owner_type = ? AND owner_id = ? LIMIT 1',
+    [ownerType, ownerId]
+  );
+  if (existing) return;
+
+  for (const kind of ACCOUNT_KINDS[ownerType]) {
+    await dbRun(
+      'INSERT INTO ledger_accounts (owner_type, owner_id, kind) VALUES (?, ?, ?)',
+      [ownerType, ownerId, kind]
+    );
+  }
+
+  const legacy = ownerType === 'user'
+    ? await dbGet('SELECT balance AS main, offline_balance AS offline FROM users WHERE phone = ?', [ownerId])
+    : await dbGet('SELECT balance AS merchant FROM merchants WHERE merchant_id = ?', [ownerId]);
+
+  const lines = [];
+  for (const kind of ACCOUNT_KINDS[ownerType]) {
+    if (legacy && legacy[kind]) {
+      lines.push({ account: await getAccount(ownerType, ownerId, kind), amount: legacy[kind] });
+    }
+  }
+
+  if (lines.length > 0) {
+    const total = lines.reduce((sum, line) => sum + line.amount, 0);
+    lines.push({ account: await getAccount('system', SYSTEM_OWNER, 'opening'), amount: -total });
+    await postJournal('opening_balance', `${ownerType}:${ownerId}`, 'Balance carried over from before the ledger', lines);
+  }
+}
+
+// Look up (opening if needed) a ledger account. Must run inside withTransaction.
+async function getAccount(ownerType, ownerId, kind) {
+  if (ownerType === 'system') {
+    await dbRun(
+      'INSERT OR IGNORE INTO ledger_accounts (owner_type, owner_id, kind, allow_negative) VALUES (?, ?, ?, 1)',
+      [ownerType, ownerId, kind]
+    );
+  } else {
+    await openAccounts(ownerType, ownerId);
+  }
+
+  return dbGet(
+    'SELECT * FROM ledger_accounts WHERE owner_type = ? AND owner_id = ? AND kind = ?',
+    [ownerType, ownerId, kind]
+  );
+}
+
+// Post a balanced journal entry and update the cached account balances.
+// `lines` are { account, amount } with signed amounts that sum to zero.
+// Must run inside withTransaction; throws GuardError if an account would go negative.
+async function postJournal(entryType, reference, memo, lines) {
+  const total = lines.reduce((sum, line) => sum + line.amount, 0);
+  if (Math.abs(total) > 1e-9) {
+    throw new Error(`Unbalanced journal entry: ${entryType} ${reference}`);
+  }
+
+  const entry = await dbRun(
+    'INSERT INTO journal_entries (entry_type, reference, memo) VALUES (?, ?, ?)',
+    [entryType, reference, memo]
+  );
+
+  for (const { account, amount } of lines) {
+    const updated = await dbRun(
+      'UPDATE ledger_accounts SET balance = balance + ? WHERE id = ? AND (allow_negative = 1 OR balance + ? >= 0)',
+      [amount, account.id, amount]
+    );
+    if (updated.changes === 0) {
+      throw new GuardError(INSUFFICIENT_FUNDS[account.kind] || 'insufficient_funds', 'Insufficient balance');
+    }
+
+    await dbRun(
+      'INSERT INTO journal_lines (entry_id, account_id, amount) VALUES (?, ?, ?)',
+      [entry.lastID, account.id, amount]
+    );
+  }
+
+  return entry.lastID;
+}
+
+// Current balances for an owner, keyed by account kind
+async function getBalances(ownerType, ownerId) {
+  let rows = await dbAll(
+    'SELECT kind, balance FROM ledger_accounts WHERE owner_type = ? AND owner_id = ?',
+    [ownerType, ownerId]
+  );
+
+  if (rows.length === 0) {
+    await withTransaction(() => openAccounts(ownerType, ownerId));
+    rows = await dbAll(
+      'SELECT kind, balance FROM ledger_accounts WHERE owner_type = ? AND owner_id = ?',
+      [ownerType, ownerId]
+    );
+  }
+
+  const balances = {};
+  ACCOUNT_KINDS[ownerType].forEach((kind) => { balances[kind] = 0; });
+  rows.forEach((row) => { balances[row.kind] = row.balance; });
+  return balances;
+}
+
+// ==================== QUARANTINE ====================
+
+const CASE_RESOLUTIONS = ['credit_from_pool', 'claw_back', 'reject'];
+
+// Quarantine a token and flag its payer. `conflicting` is the already settled
+// transaction row for a reused counter. Must run inside withTransaction.
+async function openQuarantineCase(reason, txn, deviceId, conflicting) {
+  const result = await dbRun(
+    `INSERT INTO quarantine_cases
+       (txn_id, reason, payer_phone, merchant_id, amount, counter, device_id, token,
+        conflicting_txn_id, conflicting_merchant_id, conflicting_token)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      txn.txnId, reason, txn.from, txn.to, txn.amountPaise, txn.counter, deviceId, JSON.stringify(txn),
+      conflicting ? conflicting.txn_id : null,
+      conflicting ? conflicting.to_merchant : null,
+      conflicting ? JSON.stringify(conflicting) : null,
+    ]
+  );
+
+  await dbRun(
+    'INSERT INTO payer_flags (phone, reason, case_id) VALUES (?, ?, ?)',
+    [txn.from, reason, result.lastID]
+  );
+
+  return result.lastID;
+}
+
+// Shape a quarantine_cases row for API responses
+function formatCase(row) {
+  return {
+    id: row.id,
+    txnId: row.txn_id,
+    reason: row.reason,
+    payerPhone: row.payer_phone,
+    merchantId: row.merchant_id,
+    amountPaise: row.amount,
+    counter: row.counter,
+    token: JSON.parse(row.token),
+    conflicting: row.conflicting_txn_id ? {
+      txnId: row.conflicting_txn_id,
+      merchantId: row.conflicting_merchant_id,
+      transaction: JSON.parse(row.conflicting_token)
+    } : null,
+    status: row.status,
+    resolution: row.resolution,
+    resolutionNote: row.resolution_note,
+    resolvedAt: row.resolved_at,
+    createdAt: row.created_at
+  };
+}
+
+// Claw a case's amount back from the payer (offline balance first, then main)
+// and pay it to the merchant. Must run inside withTransaction.
+async function clawBack(quarantineCase) {
+  const { payer_phone: phone, merchant_id: merchantId, amount, txn_id: txnId } = quarantineCase;
+  const offline = await getAccount('user', phone, 'offline');
+  const main = await getAccount('user', phone, 'main');
+
+  const fromOffline = Math.min(Math.max(offline.balance, 0), amount);
+  const fromMain = amount - fromOffline;
+  if (main.balance < fromMain) {
+    throw new GuardError('insufficient_payer_balance', 'Payer balance is too low to claw back this amount');
+  }
+
+  const lines = [{ account: await getAccount('merchant', merchantId, 'merchant'), amount }];
+  if (fromOffline > 0) lines.push({ account: offline, amount: -fromOffline });
+  if (fromMain > 0) lines.push({ account: main, amount: -fromMain });
+
+  await postJournal('quarantine_claw_back', txnId, `Claw-back for quarantine case ${quarantineCase.id}`, lines);
+}
+
+// ==================== KEY REVOCATION ====================
+
+const REVOCATION_PAGE_SIZE = 500;
+
+// Revoke a payer's signing key so merchants and sync stop accepting its tokens.
+// Revoking an already revoked key is a no-op. Returns the current list
+// version, which a merchant must reach to see the key as revoked.
+async function revokeKey(phone, publicKey, reason, revokedBy) {
+  await dbRun(
+    'INSERT OR IGNORE INTO key_revocations (phone, public_key, reason, revoked_by) VALUES (?, ?, ?, ?)',
+    [phone, publicKey, reason || null, revokedBy]
+  );
+  const latest = await dbGet('SELECT MAX(id) AS version FROM key_revocations');
+  return latest.version;
+}
+
+// Revoke one of a user's device keys, or all of them when publicKey is omitted
+// (a lost phone whose key the user cannot name). Returns the list version,
+// or null if no matching device exists.
+async function revokeUserKeys(phone, publicKey, reason, revokedBy) {
+  return withTransaction(async () => {
+    const devices = publicKey
+      ? await dbAll(
+        "SELECT * FROM devices WHERE owner_type = 'user' AND owner_id = ? AND public_key = ?",
+        [phone, publicKey]
+      )
+      : await dbAll("SELECT * FROM devices WHERE owner_type = 'user' AND owner_id = ?", [phone]);
+
+    let version = null;
+    for (const device of devices) {
+      version = await revokeKey(phone, device.public_key, reason, revokedBy);
+      await dbRun(
+        "UPDATE devices SET status = 'revoked', retired_at = COALESCE(retired_at, ?) WHERE id = ?",
+        [new Date().toISOString(), device.id]
+      );
+    }
+    return version;
+  });
+}
+
+async function isKeyRevoked(publicKey) {
+  const row = await dbGet('SELECT id FROM key_revocations WHERE public_key = ?', [publicKey]);
+  return !!row;
+}
+
+// ==================== KEY POSSESSION ====================
+
+const CHALLENGE_PURPOSES = ['register', 'merchant_register', 'enroll_device'];
+const CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Check a public key is a base64 encoded 32-byte Ed25519 key
+function isValidPublicKey(publicKey) {
+  if (typeof publicKey !== 'string') return false;
+  try {
+    return naclUtil.decodeBase64(publicKey).length === nacl.sign.publicKeyLength;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Message a client signs to answer a challenge. The purpose is included so a
+// signature made for one flow cannot be replayed against another.
+function buildChallengeMessage(purpose, challenge) {
+  return `tokpay:${purpose}:${challenge}`;
+}
+
+async function issueChallenge(purpose) {
+  const challenge = naclUtil.encodeBase64(nacl.randomBytes(32));
+  const expiresAt = Date.now() + CHALLENGE_TTL_MS;
+
+  await dbRun('DELETE FROM key_challenges WHERE expires_at < ?', [Date.now()]);
+  await dbRun(
+    'INSERT INTO key_challenges (challenge, purpose, expires_at) VALUES (?, ?, ?)',
+    [challenge, purpose, expiresAt]
+  );
+
+  return { challenge, expiresAt };
+}
+
+// Verify that whoever sent `publicKey` holds its secret key, by checking their
+// signature over a challenge we issued. The challenge is used up on success.
+async function verifyKeyPossession(purpose, publicKey, challenge, signature) {
+  if (typeof challenge !== 'string' || typeof signature !== 'string') {
+    return { valid: false, error: 'Key possession proof required' };
+  }
+
+  try {
+    const messageBytes = naclUtil.decodeUTF8(buildChallengeMessage(purpose, challenge));
+    const signatureBytes = naclUtil.decodeBase64(signature);
+    if (signatureBytes.length !== nacl.sign.signatureLength ||
+        !nacl.sign.detached.verify(messageBytes, signatureBytes, naclUtil.decodeBase64(publicKey))) {
+      return { valid: false, error: 'Invalid key possession proof' };
+    }
+  } catch (error) {
+    // Malformed base64 in signature
+    return { valid: false, error: 'Invalid key possession proof' };
+  }
+
+  const result = await dbRun(
+    'DELETE FROM key_challenges WHERE challenge = ? AND purpose = ? AND expires_at >= ?',
+    [challenge, purpose, Date.now()]
+  );
+  if (result.changes !== 1) {
+    return { valid: false, error: 'Challenge expired or already used' };
+  }
+
+  return { valid: true };
+}
+
+// ==================== DEVICES ====================
+
+// Tokens signed by a retired key are still settled for this long after retirement
+const DEVICE_RETIRE_GRACE_MS = 3 * 24 * 60 * 60 * 1000; // 3 days
+
+// Device owner for an authenticated request
+function deviceOwner(user) {
+  return user.type === 'merchant'
+    ? { ownerType: 'merchant', ownerId: user.merchantId }
+    : { ownerType: 'user', ownerId: user.phone };
+}
+
+async function addDevice(ownerType, ownerId, publicKey, label) {
+  const result = await dbRun(
+    'INSERT INTO devices (owner_type, owner_id, public_key, label) VALUES (?, ?, ?, ?)',
+    [ownerType, ownerId, publicKey, label || 'Primary device']
+  );
+  return result.lastID;
+}
+
+// Find the payer device whose key signed a payment token. Retired keys count
+// only for tokens signed before retirement and synced within the grace window.
+// Revoked keys are still matched so the caller can report them as revoked.
+async function findSigningDevice(txn) {
+  const devices = await dbAll(
+    "SELECT * FROM devices WHERE owner_type = 'user' AND owner_id = ? ORDER BY status = 'active' DESC, id DESC",
+    [txn.from]
+  );
+
+  return devices.find((device) => {
+    if (device.status === 'retired') {
+      const retiredAt = new Date(device.retired_at).getTime();
+      if (txn.timestamp > retiredAt || Date.now() > retiredAt + DEVICE_RETIRE_GRACE_MS) {
+        return false;
+      }
+    }
+    return verifyPayment(txn, device.public_key);
+  }) || null;
+}
+
+// Shape a devices row for API responses
+function formatDevice(row) {
+  return {
+    id: row.id,
+    publicKey: row.public_key,
+    label: row.label,
+    status: row.status,
+    createdAt: row.created_at,
+    retiredAt: row.retired_at
+  };
+}
+
+// ==================== PHONE VERIFICATION ====================
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const OTP_RESEND_COOLDOWN_MS = 60 * 1000; // 1 minute
+const OTP_MAX_SENDS_PER_HOUR = 5;
+const OTP_MAX_ATTEMPTS = 5;
+
+function hashOtp(code) {
+  return crypto.createHash('sha256').update(code).digest();
+}
+
+// Text a fresh code to `phone`, replacing any earlier one for the same purpose.
+// Throws GuardError('otp_throttled') with `retryAfter` (seconds) when asked too often.
+async function issueOtp(accountType, phone, purpose) {
+  const now = Date.now();
+
+  const code = await withTransaction(async () => {
+    const recent = await dbAll(
+      `SELECT created_at FROM otp_codes
+       WHERE account_type = ? AND phone = ? AND purpose = ? AND created_at > ?
+       ORDER BY created_at DESC`,
+      [accountType, phone, purpose, now - 60 * 60 * 1000]
+    );
+
+    let waitMs = 0;
+    if (recent.length >= OTP_MAX_SENDS_PER_HOUR) {
+      waitMs = recent[OTP_MAX_SENDS_PER_HOUR - 1].created_at + 60 * 60 * 1000 - now;
+    } else if (recent.length > 0) {
+      waitMs = recent[0].created_at + OTP_RESEND_COOLDOWN_MS - now;
+    }
+    if (waitMs > 0) {
+      const error = new GuardError('otp_throttled', 'Too many codes requested. Please wait before trying again');
+      error.retryAfter = Math.ceil(waitMs / 1000);
+      throw error;
+    }
+
+    const code = crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+
+    await dbRun('DELETE FROM otp_codes WHERE created_at < ?', [now - 24 * 60 * 60 * 1000]);
+    await dbRun(
+      `INSERT INTO otp_codes (account_type, phone, purpose, code_hash, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [accountType, phone, purpose, hashOtp(code).toString('hex'), now + OTP_TTL_MS, now]
+    );
+    return code;
+  });
+
+  await smsSender.send(phone, `${code} is your TokPay verification code. It expires in ${OTP_TTL_MS / 60000} minutes.`);
+  return { expiresIn: OTP_TTL_MS / 1000 };
+}
+
+// Check `code` against the live code for this purpose; it is used up on success.
+// Wrong guesses count against the code, and after OTP_MAX_ATTEMPTS a new one is needed.
+async function verifyOtp(accountType, phone, purpose, code) {
+  if (typeof code !== 'string' || !/^\d+$/.test(code)) {
+    return { valid: false, code: 'otp_invalid', error: 'Enter the code we sent you' };
+  }
+
+  return withTransaction(async () => {
+    const row = await dbGet(
+      `SELECT * FROM otp_codes WHERE account_type = ? AND phone = ? AND purpose = ?
+       ORDER BY id DESC LIMIT 1`,
+      [accountType, phone, purpose]
+    );
+
+    if (!row || row.consumed_at) {
+      return { valid: false, code: 'otp_missing', error: 'Request a new code' };
+    }
+    if (row.expires_at < Date.now()) {
+      return { valid: false, code: 'otp_expired', error: 'Code expired. Request a new code' };
+    }
+    if (row.attempts >= OTP_MAX_ATTEMPTS) {
+      return { valid: false, code: 'otp_locked', error: 'Too many wrong attempts. Request a new code' };
+    }
+
+    if (!crypto.timingSafeEqual(hashOtp(code), Buffer.from(row.code_hash, 'hex'))) {
+      await dbRun('UPDATE otp_codes SET attempts = attempts + 1 WHERE id = ?', [row.id]);
+      return { valid: false, code: 'otp_invalid', error: 'Incorrect code' };
+    }
+
+    await dbRun('UPDATE otp_codes SET consumed_at = ? WHERE id = ?', [Date.now(), row.id]);
+    return { valid: true };
+  });
+}
+
+// Send the first verification code after registration. A failure here must not
+// fail the registration; the app can ask for the code again.
+async function sendVerificationCode(accountType, phone) {
+  try {
+    await issueOtp(accountType, phone, 'verify_phone');
+  } catch (error) {
+    console.error('Verification code error:', error);
+  }
+}
+
+// ==================== PASSWORD RESET ====================
+
+const PASSWORD_RESET_TTL = '15m';
+
+function accountTable(accountType) {
+  return accountType === 'merchant' ? 'merchants' : 'users';
+}
+
+// Reset tokens are bound to the password hash they replace, so a token stops
+// working as soon as any password change lands; that makes it single-use.
+function passwordFingerprint(passwordHash) {
+  return crypto.createHash('sha256').update(passwordHash).digest('hex').slice(0, 32);
+}
+
+// ==================== PAYMENT PIN ====================
+
+// The wallet checks the PIN offline against this verifier, so its parameters
+// must match PinService in the wallet.
+const PIN_VERIFIER_VERSION = 1;
+const PIN_SCRYPT = { N: 16384, r: 8, p: 1 };
+const PIN_MAX_ATTEMPTS = 5;
+const PIN_LOCK_MS = 15 * 60 * 1000; // 15 minutes
+
+function buildPinVerifier(pin) {
+  const salt = crypto.randomBytes(16);
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(pin, salt, 32, PIN_SCRYPT, (err, hash) => {
+      if (err) return reject(err);
+      resolve({
+        version: PIN_VERIFIER_VERSION,
+        salt: salt.toString('base64'),
+        hash: hash.toString('base64'),
+        ...PIN_SCRYPT
+      });
+    });
+  });
+}
+
+function parsePinVerifier(stored) {
+  return stored ? JSON.parse(stored) : null;
+}
+
 // ==================== PUBLIC ROUTES ====================
 
 // Health check
@@ -195,12 +957,68 @@ app.get('/', (req, res) => {
   });
 });
 
+// Server public key that merchant apps pin to verify balance certificates
+app.get('/api/server-key', (req, res) => {
+  res.json({ algorithm: 'Ed25519', publicKey: SERVER_PUBLIC_KEY });
+});
+
+// Signed policy. The policy is sent as the exact JSON string that was signed,
+// so apps can verify fields they don't know about yet.
+const signedPolicy = signPolicy(JSON.stringify(POLICY), serverKeyPair.secretKey);
+app.get('/api/policy', (req, res) => {
+  res.json(signedPolicy);
+});
+
+// Signed key revocation list. Merchants pass the version they hold as `since`
+// and get only the keys revoked after it; `complete` is false when more pages remain.
+app.get('/api/revocations', async (req, res) => {
+  const since = parseInt(req.query.since) || 0;
+
+  try {
+    const rows = await dbAll(
+      'SELECT id, public_key FROM key_revocations WHERE id > ? ORDER BY id LIMIT ?',
+      [since, REVOCATION_PAGE_SIZE]
+    );
+    const latest = await dbGet('SELECT MAX(id) AS version FROM key_revocations');
+
+    const list = {
+      since,
+      version: rows.length > 0 ? rows[rows.length - 1].id : since,
+      keys: rows.map((row) => row.public_key),
+    };
+
+    res.json({
+      ...signRevocationList(list, serverKeyPair.secretKey),
+      complete: list.version >= (latest.version || 0),
+    });
+  } catch (error) {
+    console.error('Revocation list error:', error);
+    res.status(500).json({ error: 'Failed to fetch revocation list' });
+  }
+});
+
+// Issue a challenge to sign with the key being registered
+app.post('/api/challenge', async (req, res) => {
+  const { purpose } = req.body;
+
+  if (!CHALLENGE_PURPOSES.includes(purpose)) {
+    return res.status(400).json({ error: 'Invalid challenge purpose' });
+  }
+
+  try {
+    res.json(await issueChallenge(purpose));
+  } catch (error) {
+    console.error('Challenge error:', error);
+    res.status(500).json({ error: 'Failed to issue challenge' });
+  }
+});
+
 // ==================== USER AUTH ROUTES ====================
 
 // User Registration
 app.post('/api/auth/register', async (req, res) => {
   try {
-    const { phone, password, name, publicKey } = req.body;
+    const { phone, password, name, publicKey, challenge, signature } = req.body;
 
     // Validate inputs
     if (!phone || !password || !name || !publicKey) {
@@ -216,35 +1034,61 @@ app.post('/api/auth/register', async (req, res) => {
       return res.status(400).json({ error: passwordCheck.error });
     }
 
+    if (!isValidPublicKey(publicKey)) {
+      return res.status(400).json({ error: 'Invalid public key' });
+    }
+
+    const proof = await verifyKeyPossession('register', publicKey, challenge, signature);
+    if (!proof.valid) {
+      return res.status(400).json({ error: proof.error });
+    }
+
     // Hash password
     const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
 
-    // Insert user
-    const sql = `INSERT INTO users (phone, password_hash, name, public_key, balance) 
-                 VALUES (?, ?, ?, ?, 1000)`; // Starting balance of 1000 for testing
-    
-    db.run(sql, [phone, passwordHash, name, publicKey], function(err) {
-      if (err) {
-        if (err.message.includes('UNIQUE constraint failed')) {
-          return res.status(409).json({ error: 'Phone number already registered' });
-        }
-        console.error('Registration error:', err);
-        return res.status(500).json({ error: 'Registration failed' });
+    // Insert user together with their starting balance
+    let userId;
+    try {
+      userId = await withTransaction(async () => {
+        const result = await dbRun(
+          'INSERT INTO users (phone, password_hash, name, public_key) VALUES (?, ?, ?, ?)',
+          [phone, passwordHash, name, publicKey]
+        );
+        await addDevice('user', phone, publicKey, req.body.deviceLabel);
+
+        // Starting balance of ₹1000 for testing
+        await postJournal('registration_credit', phone, 'Starting balance for testing', [
+          { account: await getAccount('system', SYSTEM_OWNER, 'seed'), amount: -100000 },
+          { account: await getAccount('user', phone, 'main'), amount: 100000 },
+        ]);
+
+        return result.lastID;
+      });
+    } catch (err) {
+      if (err.message.includes('devices.public_key')) {
+        return res.status(409).json({ error: 'Public key already registered' });
       }
+      if (err.message.includes('UNIQUE constraint failed')) {
+        return res.status(409).json({ error: 'Phone number already registered' });
+      }
+      console.error('Registration error:', err);
+      return res.status(500).json({ error: 'Registration failed' });
+    }
 
-      // Generate tokens
-      const tokens = generateTokens({ 
-        phone, 
-        type: 'user',
-        id: this.lastID 
-      });
+    // Generate tokens
+    const tokens = await startSession({ 
+      phone, 
+      type: 'user',
+      id: userId 
+    }, req.body.deviceLabel);
 
-      res.status(201).json({
-        success: true,
-        message: 'Registration successful',
-        user: { phone, name },
-        ...tokens
-      });
+    await sendVerificationCode('user', phone);
+
+    res.status(201).json({
+      success: true,
+      message: 'Registration successful',
+      user: { phone, name, isVerified: false },
+      ...tokens
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -315,33 +1159,25 @@ app.post('/api/auth/login', async (req, res) => {
         [phone]
       );
 
-      // Generate tokens
-      const tokens = generateTokens({ 
+      // Generate tokens and store the refresh token hash
+      const tokens = await startSession({ 
         phone, 
         type: 'user',
         id: user.id 
-      });
+      }, req.body.deviceLabel);
 
-      // Store refresh token hash
-      const refreshTokenHash = crypto
-        .createHash('sha256')
-        .update(tokens.refreshToken)
-        .digest('hex');
-      
-      const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
-      db.run(
-        'INSERT INTO refresh_tokens (user_phone, token_hash, expires_at) VALUES (?, ?, ?)',
-        [phone, refreshTokenHash, expiresAt]
-      );
+      const balances = await getBalances('user', phone);
 
       res.json({
         success: true,
         user: {
           phone: user.phone,
           name: user.name,
-          balance: user.balance,
-          offlineBalance: user.offline_balance,
-          publicKey: user.public_key
+          balancePaise: balances.main,
+          offlineBalancePaise: balances.offline,
+          publicKey: user.public_key,
+          isVerified: !!user.is_verified,
+          pinVerifier: parsePinVerifier(user.pin_verifier)
         },
         ...tokens
       });
@@ -353,6 +1189,8 @@ app.post('/api/auth/login', async (req, res) => {
 });
 
 // Refresh Token
+// Each refresh token is single-use. Presenting one that was already used means
+// it was copied, so its session is revoked and both holders must log in again.
 app.post('/api/auth/refresh', async (req, res) => {
   try {
     const { refreshToken } = req.body;
@@ -361,65 +1199,78 @@ app.post('/api/auth/refresh', async (req, res) => {
       return res.status(400).json({ error: 'Refresh token required' });
     }
 
-    // Verify refresh token
-    jwt.verify(refreshToken, JWT_SECRET, (err, decoded) => {
-      if (err) {
-        return res.status(403).json({ error: 'Invalid refresh token' });
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, JWT_SECRET);
+    } catch (err) {
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ error: 'Session expired', code: 'SESSION_EXPIRED' });
       }
+      return res.status(403).json({ error: 'Invalid refresh token' });
+    }
 
-      // Check if token exists in database
-      const tokenHash = crypto
-        .createHash('sha256')
-        .update(refreshToken)
-        .digest('hex');
+    if (decoded.typ !== 'refresh') {
+      return res.status(403).json({ error: 'Invalid refresh token' });
+    }
 
-      db.get(
-        'SELECT * FROM refresh_tokens WHERE token_hash = ? AND expires_at > datetime("now")',
-        [tokenHash],
-        (err, token) => {
-          if (err || !token) {
-            return res.status(403).json({ error: 'Refresh token not found or expired' });
-          }
+    const result = await withTransaction(async () => {
+      const token = await dbGet(
+        `SELECT refresh_tokens.*, sessions.revoked_at
+         FROM refresh_tokens JOIN sessions ON sessions.id = refresh_tokens.session_id
+         WHERE refresh_tokens.token_hash = ?`,
+        [hashToken(refreshToken)]
+      );
 
-          // Generate new tokens
-          const tokens = generateTokens({
-            phone: decoded.phone,
-            type: decoded.type,
-            id: decoded.id
-          });
+      if (!token || new Date(token.expires_at).getTime() <= Date.now()) {
+        return { status: 401, error: 'Session expired', code: 'SESSION_EXPIRED' };
+      }
 
-          // Update refresh token
-          const newTokenHash = crypto
-            .createHash('sha256')
-            .update(tokens.refreshToken)
-            .digest('hex');
-          
-          db.run(
-            'UPDATE refresh_tokens SET token_hash = ? WHERE id = ?',
-            [newTokenHash, token.id]
-          );
-
-          res.json(tokens);
-        }
-      );
+      if (token.revoked_at) {
+        return { status: 401, error: 'Session revoked', code: 'SESSION_REVOKED' };
+      }
+
+      const now = new Date().toISOString();
+
+      if (token.used_at) {
+        await dbRun('UPDATE sessions SET revoked_at = ? WHERE id = ?', [now, token.session_id]);
+        console.warn(`Refresh token reuse detected, revoked session ${token.session_id}`);
+        return { status: 401, error: 'Session revoked', code: 'SESSION_REVOKED' };
+      }
+
+      await dbRun('UPDATE refresh_tokens SET used_at = ? WHERE id = ?', [now, token.id]);
+      await dbRun('UPDATE sessions SET last_used_at = ? WHERE id = ?', [now, token.session_id]);
+
+      const payload = { phone: decoded.phone, type: decoded.type, id: decoded.id };
+      if (decoded.merchantId) {
+        payload.merchantId = decoded.merchantId;
+      }
+
+      return { tokens: await issueTokens(payload, token.session_id) };
     });
+
+    if (!result.tokens) {
+      return res.status(result.status).json({ error: result.error, code: result.code });
+    }
+
+    res.json(result.tokens);
   } catch (error) {
     console.error('Refresh error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Logout
+// Logout - ends this session only; other devices stay logged in
 app.post('/api/auth/logout', authenticateToken, (req, res) => {
-  const { phone } = req.user;
-
-  // Delete all refresh tokens for user
-  db.run('DELETE FROM refresh_tokens WHERE user_phone = ?', [phone], (err) => {
-    if (err) {
-      return res.status(500).json({ error: 'Logout failed' });
+  db.run(
+    'UPDATE sessions SET revoked_at = ? WHERE id = ?',
+    [new Date().toISOString(), req.user.sid],
+    (err) => {
+      if (err) {
+        return res.status(500).json({ error: 'Logout failed' });
+      }
+      res.json({ success: true, message: 'Logged out successfully' });
     }
-    res.json({ success: true, message: 'Logged out successfully' });
-  });
+  );
 });
 
 // ==================== MERCHANT AUTH ROUTES ====================
@@ -427,7 +1278,7 @@ app.post('/api/auth/logout', authenticateToken, (req, res) => {
 // Merchant Registration
 app.post('/api/auth/merchant/register', async (req, res) => {
   try {
-    const { merchantId, phone, password, name, publicKey } = req.body;
+    const { merchantId, phone, password, name, publicKey, challenge, signature } = req.body;
 
     if (!merchantId || !phone || !password || !name || !publicKey) {
       return res.status(400).json({ error: 'All fields are required' });
@@ -442,32 +1293,52 @@ app.post('/api/auth/merchant/register', async (req, res) => {
       return res.status(400).json({ error: passwordCheck.error });
     }
 
+    if (!isValidPublicKey(publicKey)) {
+      return res.status(400).json({ error: 'Invalid public key' });
+    }
+
+    const proof = await verifyKeyPossession('merchant_register', publicKey, challenge, signature);
+    if (!proof.valid) {
+      return res.status(400).json({ error: proof.error });
+    }
+
     const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
 
-    const sql = `INSERT INTO merchants (merchant_id, phone, password_hash, name, public_key, balance) 
-                 VALUES (?, ?, ?, ?, ?, 0)`;
-    
-    db.run(sql, [merchantId, phone, passwordHash, name, publicKey], function(err) {
-      if (err) {
-        if (err.message.includes('UNIQUE constraint failed')) {
-          return res.status(409).json({ error: 'Merchant ID or phone already registered' });
-        }
-        return res.status(500).json({ error: 'Registration failed' });
+    let merchantRowId;
+    try {
+      merchantRowId = await withTransaction(async () => {
+        const result = await dbRun(
+          'INSERT INTO merchants (merchant_id, phone, password_hash, name, public_key) VALUES (?, ?, ?, ?, ?)',
+          [merchantId, phone, passwordHash, name, publicKey]
+        );
+        await addDevice('merchant', merchantId, publicKey, req.body.deviceLabel);
+        await openAccounts('merchant', merchantId);
+        return result.lastID;
+      });
+    } catch (err) {
+      if (err.message.includes('devices.public_key')) {
+        return res.status(409).json({ error: 'Public key already registered' });
+      }
+      if (err.message.includes('UNIQUE constraint failed')) {
+        return res.status(409).json({ error: 'Merchant ID or phone already registered' });
       }
+      return res.status(500).json({ error: 'Registration failed' });
+    }
 
-      const tokens = generateTokens({ 
-        merchantId, 
-        phone,
-        type: 'merchant',
-        id: this.lastID 
-      });
+    const tokens = await startSession({ 
+      merchantId, 
+      phone,
+      type: 'merchant',
+      id: merchantRowId 
+    }, req.body.deviceLabel);
 
-      res.status(201).json({
-        success: true,
-        message: 'Merchant registration successful',
-        merchant: { merchantId, name, phone },
-        ...tokens
-      });
+    await sendVerificationCode('merchant', phone);
+
+    res.status(201).json({
+      success: true,
+      message: 'Merchant registration successful',
+      merchant: { merchantId, name, phone, isVerified: false },
+      ...tokens
     });
   } catch (error) {
     console.error('Merchant registration error:', error);
@@ -503,219 +1374,787 @@ app.post('/api/auth/merchant/login', async (req, res) => {
         const newAttempts = merchant.failed_attempts + 1;
         let lockUntil = null;
 
-        if (newAttempts >= 5) {
-          lockUntil = new Date(Date.now() + 15 * 60 * 1000).toISOString();
-        }
+        if (newAttempts >= 5) {
+          lockUntil = new Date(Date.now() + 15 * 60 * 1000).toISOString();
+        }
+
+        db.run(
+          'UPDATE merchants SET failed_attempts = ?, locked_until = ? WHERE phone = ?',
+          [newAttempts, lockUntil, phone]
+        );
+
+        return res.status(401).json({ 
+          error: 'Invalid credentials',
+          attemptsRemaining: 5 - newAttempts
+        });
+      }
+
+      db.run(
+        'UPDATE merchants SET failed_attempts = 0, locked_until = NULL WHERE phone = ?',
+        [phone]
+      );
+
+      const tokens = await startSession({ 
+        merchantId: merchant.merchant_id,
+        phone, 
+        type: 'merchant',
+        id: merchant.id 
+      }, req.body.deviceLabel);
+
+      const balances = await getBalances('merchant', merchant.merchant_id);
+
+      res.json({
+        success: true,
+        merchant: {
+          merchantId: merchant.merchant_id,
+          phone: merchant.phone,
+          name: merchant.name,
+          balancePaise: balances.merchant,
+          publicKey: merchant.public_key,
+          isVerified: !!merchant.is_verified
+        },
+        ...tokens
+      });
+    });
+  } catch (error) {
+    console.error('Merchant login error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ==================== PASSWORD RESET ROUTES ====================
+
+// Request Password Reset - texts a code to the account's phone. The response is the
+// same whether or not the account exists, so this can't be used to probe numbers.
+app.post('/api/password-reset/request', otpLimiter, async (req, res) => {
+  const { phone, accountType = 'user' } = req.body;
+
+  if (!validatePhone(phone) || !['user', 'merchant'].includes(accountType)) {
+    return res.status(400).json({ error: 'Invalid phone number format' });
+  }
+
+  try {
+    const account = await dbGet(`SELECT id FROM ${accountTable(accountType)} WHERE phone = ?`, [phone]);
+    if (account) {
+      await issueOtp(accountType, phone, 'reset_password');
+    }
+  } catch (error) {
+    if (!(error instanceof GuardError)) {
+      console.error('Password reset request error:', error);
+      return res.status(500).json({ error: 'Failed to send reset code' });
+    }
+  }
+
+  res.json({ success: true, message: 'If this number is registered, a reset code has been sent' });
+});
+
+// Verify Password Reset Code - exchanges the code for a short-lived reset token
+app.post('/api/password-reset/verify', otpLimiter, async (req, res) => {
+  const { phone, code, accountType = 'user' } = req.body;
+
+  if (!validatePhone(phone) || !['user', 'merchant'].includes(accountType)) {
+    return res.status(400).json({ error: 'Invalid phone number format' });
+  }
+
+  try {
+    const result = await verifyOtp(accountType, phone, 'reset_password', code);
+    if (!result.valid) {
+      return res.status(400).json({ error: result.error, code: result.code });
+    }
+
+    const account = await dbGet(
+      `SELECT password_hash FROM ${accountTable(accountType)} WHERE phone = ?`,
+      [phone]
+    );
+    if (!account) {
+      return res.status(400).json({ error: 'Request a new code', code: 'otp_missing' });
+    }
+
+    const resetToken = jwt.sign(
+      { typ: 'password_reset', phone, type: accountType, pwd: passwordFingerprint(account.password_hash) },
+      JWT_SECRET,
+      { expiresIn: PASSWORD_RESET_TTL }
+    );
+    res.json({ success: true, resetToken });
+  } catch (error) {
+    console.error('Password reset verify error:', error);
+    res.status(500).json({ error: 'Failed to verify reset code' });
+  }
+});
+
+// Confirm Password Reset - sets the new password, unlocks the account and logs
+// out every session
+app.post('/api/password-reset/confirm', async (req, res) => {
+  const { resetToken, newPassword } = req.body;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(resetToken, JWT_SECRET);
+  } catch (err) {
+    return res.status(400).json({ error: 'Password reset expired. Please start again', code: 'reset_expired' });
+  }
+  if (decoded.typ !== 'password_reset') {
+    return res.status(400).json({ error: 'Invalid reset token' });
+  }
+
+  const passwordCheck = validatePassword(newPassword);
+  if (!passwordCheck.valid) {
+    return res.status(400).json({ error: passwordCheck.error });
+  }
+
+  try {
+    const table = accountTable(decoded.type);
+    const account = await dbGet(`SELECT * FROM ${table} WHERE phone = ?`, [decoded.phone]);
+    if (!account || passwordFingerprint(account.password_hash) !== decoded.pwd) {
+      return res.status(400).json({ error: 'Password reset already used. Please start again', code: 'reset_expired' });
+    }
+
+    const newHash = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+    const result = await dbRun(
+      `UPDATE ${table}
+       SET password_hash = ?, failed_attempts = 0, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE phone = ? AND password_hash = ?`,
+      [newHash, decoded.phone, account.password_hash]
+    );
+    if (result.changes !== 1) {
+      return res.status(400).json({ error: 'Password reset already used. Please start again', code: 'reset_expired' });
+    }
+
+    const { ownerType, ownerId } = deviceOwner({
+      type: decoded.type,
+      phone: decoded.phone,
+      merchantId: account.merchant_id
+    });
+    await revokeSessions(ownerType, ownerId);
+
+    res.json({ success: true, message: 'Password reset. Please login with your new password.' });
+  } catch (error) {
+    console.error('Password reset confirm error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// ==================== PROTECTED ROUTES ====================
+
+// Send Verification Code (Protected) - also used to resend, subject to throttling
+app.post('/api/verify-phone/send', authenticateToken, otpLimiter, async (req, res) => {
+  const { phone, type } = req.user;
+  const table = type === 'merchant' ? 'merchants' : 'users';
+
+  try {
+    const account = await dbGet(`SELECT is_verified FROM ${table} WHERE phone = ?`, [phone]);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    if (account.is_verified) {
+      return res.status(409).json({ error: 'Phone number already verified', code: 'already_verified' });
+    }
+
+    const { expiresIn } = await issueOtp(type, phone, 'verify_phone');
+    res.json({ success: true, expiresIn });
+  } catch (error) {
+    if (error instanceof GuardError) {
+      return res.status(429).json({ error: error.message, code: error.code, retryAfter: error.retryAfter });
+    }
+    console.error('Send verification code error:', error);
+    res.status(500).json({ error: 'Failed to send verification code' });
+  }
+});
+
+// Verify Phone (Protected)
+app.post('/api/verify-phone', authenticateToken, otpLimiter, async (req, res) => {
+  const { phone, type } = req.user;
+  const table = type === 'merchant' ? 'merchants' : 'users';
+
+  try {
+    const result = await verifyOtp(type, phone, 'verify_phone', req.body.code);
+    if (!result.valid) {
+      return res.status(400).json({ error: result.error, code: result.code });
+    }
+
+    await dbRun(
+      `UPDATE ${table} SET is_verified = 1, updated_at = CURRENT_TIMESTAMP WHERE phone = ?`,
+      [phone]
+    );
+    res.json({ success: true, isVerified: true });
+  } catch (error) {
+    console.error('Verify phone error:', error);
+    res.status(500).json({ error: 'Failed to verify phone number' });
+  }
+});
+
+// Get User Profile
+app.get('/api/user/profile', authenticateToken, async (req, res) => {
+  if (req.user.type !== 'user') {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const user = await dbGet(
+      'SELECT phone, name, public_key, is_verified, pin_verifier, created_at FROM users WHERE phone = ?',
+      [req.user.phone]
+    );
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const balances = await getBalances('user', user.phone);
+    const spentToday = await getDailySpend(user.phone, spendDay(Date.now()));
+    res.json({
+      phone: user.phone,
+      name: user.name,
+      balancePaise: balances.main,
+      offlineBalancePaise: balances.offline,
+      publicKey: user.public_key,
+      isVerified: !!user.is_verified,
+      pinVerifier: parsePinVerifier(user.pin_verifier),
+      limits: {
+        perPaymentPaise: POLICY.maxPaymentPaise,
+        dailyPaise: POLICY.dailySpendLimitPaise,
+        spentTodayPaise: spentToday,
+        remainingTodayPaise: Math.max(0, POLICY.dailySpendLimitPaise - spentToday)
+      },
+      createdAt: user.created_at
+    });
+  } catch (error) {
+    console.error('Profile error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get Balance (Protected)
+app.get('/api/balance', authenticateToken, async (req, res) => {
+  const { phone, type, merchantId } = req.user;
+
+  try {
+    if (type === 'user') {
+      const user = await dbGet('SELECT phone FROM users WHERE phone = ?', [phone]);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      const balances = await getBalances('user', phone);
+      res.json({
+        balancePaise: balances.main,
+        offlineBalancePaise: balances.offline
+      });
+    } else if (type === 'merchant') {
+      const merchant = await dbGet('SELECT merchant_id FROM merchants WHERE merchant_id = ?', [merchantId]);
+      if (!merchant) {
+        return res.status(404).json({ error: 'Merchant not found' });
+      }
+      const balances = await getBalances('merchant', merchantId);
+      res.json({ balancePaise: balances.merchant });
+    }
+  } catch (error) {
+    console.error('Balance error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get Ledger History (Protected) - every posting that touched the caller's accounts
+app.get('/api/ledger', authenticateToken, async (req, res) => {
+  const { phone, type, merchantId } = req.user;
+  const ownerId = type === 'user' ? phone : merchantId;
+  const limit = parseInt(req.query.limit) || 50;
+  const offset = parseInt(req.query.offset) || 0;
+
+  try {
+    const rows = await dbAll(
+      `SELECT e.id, e.entry_type, e.reference, e.memo, e.created_at, a.kind, l.amount
+       FROM journal_lines l
+       JOIN journal_entries e ON e.id = l.entry_id
+       JOIN ledger_accounts a ON a.id = l.account_id
+       WHERE a.owner_type = ? AND a.owner_id = ?
+       ORDER BY e.id DESC, l.id
+       LIMIT ? OFFSET ?`,
+      [type, ownerId, limit, offset]
+    );
+
+    res.json({
+      entries: rows.map((row) => ({
+        entryId: row.id,
+        type: row.entry_type,
+        reference: row.reference,
+        memo: row.memo,
+        account: row.kind,
+        amountPaise: row.amount,
+        createdAt: row.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Ledger error:', error);
+    res.status(500).json({ error: 'Failed to fetch ledger' });
+  }
+});
+
+// Load Offline Balance (Protected)
+app.post('/api/load-balance', authenticateToken, requireVerifiedPhone, async (req, res) => {
+  if (req.user.type !== 'user') {
+    return res.status(403).json({ error: 'Only users can load balance' });
+  }
+
+  // publicKey picks the device the certificate is for (defaults to the registration key)
+  const { amountPaise: amount, publicKey } = req.body;
+  const phone = req.user.phone;
+
+  if (req.body.amount !== undefined) {
+    return res.status(400).json({ error: LEGACY_AMOUNT_ERROR, code: 'legacy_amount' });
+  }
+
+  if (!isPaise(amount)) {
+    return res.status(400).json({ error: 'Invalid amount' });
+  }
+
+  if (amount > POLICY.maxOfflineBalancePaise) {
+    return res.status(400).json({ error: `Maximum offline balance is ${formatRupees(POLICY.maxOfflineBalancePaise)}` });
+  }
+
+  try {
+    const loaded = await withTransaction(async () => {
+      const user = await dbGet('SELECT phone, public_key FROM users WHERE phone = ?', [phone]);
+      if (!user) {
+        throw new GuardError('not_found', 'User not found');
+      }
+
+      const device = await dbGet(
+        "SELECT * FROM devices WHERE owner_type = 'user' AND owner_id = ? AND public_key = ?",
+        [phone, publicKey || user.public_key]
+      );
+      if (device && await isKeyRevoked(device.public_key)) {
+        throw new GuardError('key_revoked', 'Signing key has been revoked');
+      }
+      if (!device || device.status !== 'active') {
+        throw new GuardError('inactive_device', 'Device key is not active for this account');
+      }
+
+      const main = await getAccount('user', phone, 'main');
+      const offline = await getAccount('user', phone, 'offline');
+
+      // Checked inside the transaction so a concurrent load cannot exceed the cap
+      if (offline.balance + amount > POLICY.maxOfflineBalancePaise) {
+        throw new GuardError('offline_cap', `Can only load ${formatRupees(POLICY.maxOfflineBalancePaise - offline.balance)} more`);
+      }
+
+      // postJournal refuses to take the main account below zero
+      await postJournal('load_offline', null, 'Moved to offline wallet', [
+        { account: main, amount: -amount },
+        { account: offline, amount },
+      ]);
+
+      // Certificate covers the whole offline balance, not just this top-up
+      const certificate = await issueBalanceCertificate(phone, device, offline.balance + amount);
+
+      return { main: main.balance - amount, offline: offline.balance + amount, certificate };
+    });
+
+    res.json({
+      success: true,
+      message: 'Balance loaded successfully',
+      balancePaise: loaded.main,
+      offlineBalancePaise: loaded.offline,
+      certificate: loaded.certificate
+    });
+  } catch (error) {
+    if (error instanceof GuardError) {
+      const status = { not_found: 404, key_revoked: 403, inactive_device: 403 }[error.code] || 400;
+      return res.status(status).json({ error: error.message, code: error.code });
+    }
+    console.error('Load balance error:', error);
+    res.status(500).json({ error: 'Failed to load balance' });
+  }
+});
+
+// Settle one synced payment token, returning its per-transaction result.
+// Tokens that are validly signed but cannot be honoured (a reused counter, or an
+// offline balance that is already spent) are quarantined for review instead.
+// Tokens past the payer's daily limit still settle, since the merchant has
+// already handed over the goods, but the payer is flagged.
+async function settlePayment(txn) {
+  const tokenError = validatePayment(txn);
+  // Tokens from wallets that still sign rupee amounts
+  if (tokenError === 'legacy_amount') {
+    return { status: 'legacy_amount', error: LEGACY_AMOUNT_ERROR };
+  }
+  if (tokenError === 'unsupported_version') {
+    return { status: 'unsupported_version' };
+  }
+  if (tokenError || typeof txn.signature !== 'string') {
+    return { status: 'invalid_token' };
+  }
+
+  const { txnId, from, to, amountPaise: amount, counter, signature } = txn;
+
+  try {
+    return await withTransaction(async () => {
+      const existing = await dbGet('SELECT txn_id FROM transactions WHERE txn_id = ?', [txnId]);
+      if (existing) {
+        return { status: 'duplicate' };
+      }
+
+      const quarantined = await dbGet('SELECT id FROM quarantine_cases WHERE txn_id = ?', [txnId]);
+      if (quarantined) {
+        return { status: 'quarantined', caseId: quarantined.id };
+      }
+
+      const limitError = checkPaymentLimits(txn, POLICY);
+      if (limitError) {
+        return { status: limitError };
+      }
 
-        db.run(
-          'UPDATE merchants SET failed_attempts = ?, locked_until = ? WHERE phone = ?',
-          [newAttempts, lockUntil, phone]
-        );
+      // Only one of the payer's device keys can authorize spending their balance
+      const payer = await dbGet('SELECT phone FROM users WHERE phone = ?', [from]);
+      if (!payer) {
+        return { status: 'unknown_payer' };
+      }
+      const device = await findSigningDevice(txn);
+      if (!device) {
+        return { status: 'invalid_signature' };
+      }
+      if (await isKeyRevoked(device.public_key)) {
+        return { status: 'key_revoked' };
+      }
 
-        return res.status(401).json({ 
-          error: 'Invalid credentials',
-          attemptsRemaining: 5 - newAttempts
-        });
+      const merchant = await dbGet('SELECT merchant_id FROM merchants WHERE merchant_id = ?', [to]);
+      if (!merchant) {
+        return { status: 'unknown_merchant' };
       }
 
-      db.run(
-        'UPDATE merchants SET failed_attempts = 0, locked_until = NULL WHERE phone = ?',
-        [phone]
+      // A counter signed twice by the same device is a double-spend,
+      // whichever merchant synced it first, and whether the first token
+      // settled or is itself held in quarantine
+      const reused = await dbGet(
+        'SELECT * FROM transactions WHERE from_phone = ? AND device_id = ? AND counter = ?',
+        [from, device.id, counter]
+      ) || await dbGet(
+        `SELECT txn_id, payer_phone AS from_phone, merchant_id AS to_merchant, amount, counter, device_id, created_at
+         FROM quarantine_cases WHERE payer_phone = ? AND device_id = ? AND counter = ?`,
+        [from, device.id, counter]
       );
+      if (reused) {
+        const caseId = await openQuarantineCase('counter_reused', txn, device.id, reused);
+        return { status: 'counter_reused', caseId };
+      }
 
-      const tokens = generateTokens({ 
-        merchantId: merchant.merchant_id,
-        phone, 
-        type: 'merchant',
-        id: merchant.id 
-      });
+      const offline = await getAccount('user', from, 'offline');
+      if (offline.balance < amount) {
+        const caseId = await openQuarantineCase('overdraft', txn, device.id, null);
+        await recordPayerCounter(from, device.id, counter);
+        return { status: 'insufficient_offline_balance', caseId };
+      }
 
-      const refreshTokenHash = crypto
-        .createHash('sha256')
-        .update(tokens.refreshToken)
-        .digest('hex');
-      
-      const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
-      db.run(
-        'INSERT INTO refresh_tokens (merchant_id, token_hash, expires_at) VALUES (?, ?, ?)',
-        [merchant.merchant_id, refreshTokenHash, expiresAt]
+      const day = spendDay(txn.timestamp);
+      const overDailyLimit = await getDailySpend(from, day) + amount > POLICY.dailySpendLimitPaise;
+
+      await dbRun(
+        'INSERT INTO transactions (txn_id, from_phone, to_merchant, amount, counter, device_id, signature, status, spend_day, synced_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
+        [txnId, from, to, amount, counter, device.id, signature, 'completed', day]
       );
 
-      res.json({
-        success: true,
-        merchant: {
-          merchantId: merchant.merchant_id,
-          phone: merchant.phone,
-          name: merchant.name,
-          balance: merchant.balance,
-          publicKey: merchant.public_key
-        },
-        ...tokens
-      });
+      await postJournal('payment', txnId, `Offline payment to ${to}`, [
+        { account: offline, amount: -amount },
+        { account: await getAccount('merchant', to, 'merchant'), amount },
+      ]);
+
+      await recordPayerCounter(from, device.id, counter);
+
+      if (overDailyLimit) {
+        await dbRun(
+          'INSERT INTO payer_flags (phone, reason, case_id) VALUES (?, ?, NULL)',
+          [from, 'daily_limit_exceeded']
+        );
+        return { status: 'success', flag: 'daily_limit_exceeded' };
+      }
+      return { status: 'success' };
     });
   } catch (error) {
-    console.error('Merchant login error:', error);
-    res.status(500).json({ error: 'Server error' });
+    // Guard failures roll back the whole settlement and become its status
+    if (error instanceof GuardError) {
+      return { status: error.code };
+    }
+    throw error;
   }
-});
+}
 
-// ==================== PROTECTED ROUTES ====================
+// Sync Transactions (Protected)
+app.post('/api/sync', authenticateToken, requireVerifiedPhone, async (req, res) => {
+  const { transactions } = req.body;
 
-// Get User Profile
-app.get('/api/user/profile', authenticateToken, (req, res) => {
-  if (req.user.type !== 'user') {
-    return res.status(403).json({ error: 'Access denied' });
+  if (req.user.type !== 'merchant') {
+    return res.status(403).json({ error: 'Only merchants can sync payments' });
   }
 
-  db.get(
-    'SELECT phone, name, balance, offline_balance, public_key, created_at FROM users WHERE phone = ?',
-    [req.user.phone],
-    (err, user) => {
-      if (err || !user) {
-        return res.status(404).json({ error: 'User not found' });
-      }
-      res.json({
-        phone: user.phone,
-        name: user.name,
-        balance: user.balance,
-        offlineBalance: user.offline_balance,
-        publicKey: user.public_key,
-        createdAt: user.created_at
-      });
+  if (!transactions || !Array.isArray(transactions)) {
+    return res.status(400).json({ error: 'Invalid transaction data' });
+  }
+
+  // Entries are token objects, or encoded tokens as received over BLE (base64).
+  // Decode them all first so nothing settles when the batch holds a payment
+  // to another merchant.
+  const entries = transactions.map((entry) => {
+    if (typeof entry !== 'string') {
+      return { txn: entry };
     }
-  );
-});
+    try {
+      return { txn: decodeToken(Buffer.from(entry, 'base64')) };
+    } catch (error) {
+      return { error };
+    }
+  });
 
-// Get Balance (Protected)
-app.get('/api/balance', authenticateToken, (req, res) => {
-  const { phone, type } = req.user;
+  if (entries.some(({ txn }) => txn && txn.to !== req.user.merchantId)) {
+    return res.status(403).json({ error: 'Payments can only be synced by the merchant they pay' });
+  }
 
-  if (type === 'user') {
-    db.get('SELECT balance, offline_balance FROM users WHERE phone = ?', [phone], (err, user) => {
-      if (err || !user) {
-        return res.status(404).json({ error: 'User not found' });
+  let processed = 0;
+  let failed = 0;
+  const results = [];
+
+  // Settle one at a time so counter tracking sees a payer's tokens in order
+  for (const { txn, error: decodeError } of entries) {
+    let outcome;
+    try {
+      if (decodeError) {
+        throw decodeError;
       }
-      res.json({
-        balance: user.balance,
-        offlineBalance: user.offline_balance
-      });
-    });
-  } else if (type === 'merchant') {
-    db.get('SELECT balance FROM merchants WHERE phone = ?', [phone], (err, merchant) => {
-      if (err || !merchant) {
-        return res.status(404).json({ error: 'Merchant not found' });
+      outcome = await settlePayment(txn);
+    } catch (error) {
+      if (error instanceof TokenError) {
+        outcome = { status: error.code };
+      } else {
+        console.error('Sync error:', error);
+        outcome = { status: 'error' };
       }
-      res.json({ balance: merchant.balance });
-    });
+    }
+
+    if (outcome.status === 'success') {
+      processed++;
+    } else {
+      failed++;
+    }
+    results.push({ txnId: txn && txn.txnId, ...outcome });
   }
+
+  res.json({
+    success: true,
+    processed,
+    failed,
+    results
+  });
 });
 
-// Load Offline Balance (Protected)
-app.post('/api/load-balance', authenticateToken, (req, res) => {
+// Get Counter State (Protected)
+app.get('/api/user/counters', authenticateToken, async (req, res) => {
   if (req.user.type !== 'user') {
-    return res.status(403).json({ error: 'Only users can load balance' });
+    return res.status(403).json({ error: 'Access denied' });
   }
 
-  const { amount } = req.body;
-  const phone = req.user.phone;
+  try {
+    const devices = await dbAll(
+      "SELECT id, public_key FROM devices WHERE owner_type = 'user' AND owner_id = ? ORDER BY id",
+      [req.user.phone]
+    );
+    const counters = await dbAll('SELECT device_id, last_counter FROM payer_counters WHERE phone = ?', [req.user.phone]);
+    const gaps = await dbAll(
+      'SELECT device_id, start_counter, end_counter, created_at FROM counter_gaps WHERE phone = ? ORDER BY start_counter',
+      [req.user.phone]
+    );
 
-  if (!amount || amount <= 0) {
-    return res.status(400).json({ error: 'Invalid amount' });
+    // Each device keeps its own counter sequence
+    res.json({
+      devices: devices.map((device) => {
+        const row = counters.find((counter) => counter.device_id === device.id);
+        return {
+          deviceId: device.id,
+          publicKey: device.public_key,
+          lastCounter: row ? row.last_counter : null,
+          gaps: gaps.filter((gap) => gap.device_id === device.id).map((gap) => ({
+            from: gap.start_counter,
+            to: gap.end_counter,
+            detectedAt: gap.created_at
+          }))
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Counter state error:', error);
+    res.status(500).json({ error: 'Failed to fetch counter state' });
+  }
+});
+
+// Revoke Own Signing Key (Protected) - e.g. after the phone is lost or stolen
+app.post('/api/user/revoke-key', authenticateToken, async (req, res) => {
+  if (req.user.type !== 'user') {
+    return res.status(403).json({ error: 'Access denied' });
   }
 
-  if (amount > 2000) {
-    return res.status(400).json({ error: 'Maximum offline balance is ₹2000' });
+  const { password, reason, publicKey } = req.body;
+  if (!password) {
+    return res.status(400).json({ error: 'Password required' });
   }
 
-  db.get('SELECT balance, offline_balance FROM users WHERE phone = ?', [phone], (err, user) => {
-    if (err || !user) {
+  try {
+    const user = await dbGet('SELECT phone, password_hash FROM users WHERE phone = ?', [req.user.phone]);
+    if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    if (user.offline_balance + amount > 2000) {
-      return res.status(400).json({ 
-        error: `Can only load ₹${2000 - user.offline_balance} more` 
-      });
+    const validPassword = await bcrypt.compare(password, user.password_hash);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Invalid password' });
     }
 
-    if (user.balance < amount) {
-      return res.status(400).json({ error: 'Insufficient balance' });
+    const version = await revokeUserKeys(user.phone, publicKey, reason || 'user_request', 'user');
+    if (version === null) {
+      return res.status(404).json({ error: 'Device key not found' });
     }
+    res.json({ success: true, message: 'Signing key revoked', version });
+  } catch (error) {
+    console.error('Revoke key error:', error);
+    res.status(500).json({ error: 'Failed to revoke key' });
+  }
+});
 
-    const sql = 'UPDATE users SET balance = balance - ?, offline_balance = offline_balance + ?, updated_at = CURRENT_TIMESTAMP WHERE phone = ?';
-    db.run(sql, [amount, amount, phone], function(err) {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to load balance' });
-      }
+// List Devices (Protected)
+app.get('/api/devices', authenticateToken, async (req, res) => {
+  const { ownerType, ownerId } = deviceOwner(req.user);
 
-      res.json({
-        success: true,
-        message: 'Balance loaded successfully',
-        balance: user.balance - amount,
-        offlineBalance: user.offline_balance + amount
-      });
-    });
-  });
+  try {
+    const rows = await dbAll(
+      'SELECT * FROM devices WHERE owner_type = ? AND owner_id = ? ORDER BY id',
+      [ownerType, ownerId]
+    );
+    res.json({ devices: rows.map(formatDevice) });
+  } catch (error) {
+    console.error('List devices error:', error);
+    res.status(500).json({ error: 'Failed to fetch devices' });
+  }
 });
 
-// Sync Transactions (Protected)
-app.post('/api/sync', authenticateToken, (req, res) => {
-  const { transactions } = req.body;
+// Enroll Device (Protected) - the new key must sign an 'enroll_device' challenge
+app.post('/api/devices', authenticateToken, async (req, res) => {
+  const { publicKey, label, challenge, signature } = req.body;
+  const { ownerType, ownerId } = deviceOwner(req.user);
 
-  if (!transactions || !Array.isArray(transactions)) {
-    return res.status(400).json({ error: 'Invalid transaction data' });
+  if (!isValidPublicKey(publicKey)) {
+    return res.status(400).json({ error: 'Invalid public key' });
   }
 
-  if (transactions.length === 0) {
-    return res.json({ success: true, processed: 0, failed: 0, results: [] });
-  }
+  try {
+    const proof = await verifyKeyPossession('enroll_device', publicKey, challenge, signature);
+    if (!proof.valid) {
+      return res.status(400).json({ error: proof.error });
+    }
 
-  let processed = 0;
-  let failed = 0;
-  const results = [];
-  let responseSent = false;
+    const deviceId = await addDevice(ownerType, ownerId, publicKey, label || 'New device');
+    const row = await dbGet('SELECT * FROM devices WHERE id = ?', [deviceId]);
 
-  const sendResponse = () => {
-    if (!responseSent && processed + failed === transactions.length) {
-      responseSent = true;
-      res.json({
-        success: true,
-        processed,
-        failed,
-        results
-      });
+    res.status(201).json({ success: true, device: formatDevice(row) });
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(409).json({ error: 'Public key already registered' });
     }
-  };
+    console.error('Enroll device error:', error);
+    res.status(500).json({ error: 'Failed to enroll device' });
+  }
+});
 
-  transactions.forEach((txn) => {
-    const { txnId, fromPhone, toMerchant, amount, counter, signature } = txn;
+// Retire Device (Protected) - its key stops signing new payments; tokens it signed
+// before retirement are still settled during the grace window
+app.post('/api/devices/:id/retire', authenticateToken, async (req, res) => {
+  const { ownerType, ownerId } = deviceOwner(req.user);
 
-    db.get('SELECT * FROM transactions WHERE txn_id = ?', [txnId], (err, existing) => {
-      if (existing) {
-        failed++;
-        results.push({ txnId, status: 'duplicate' });
-        sendResponse();
-      } else if (amount > 500) {
-        failed++;
-        results.push({ txnId, status: 'amount_exceeded' });
-        sendResponse();
-      } else {
-        const sql = 'INSERT INTO transactions (txn_id, from_phone, to_merchant, amount, counter, signature, status, synced_at) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)';
-        db.run(sql, [txnId, fromPhone, toMerchant, amount, counter, signature, 'completed'], function(err) {
-          if (err) {
-            failed++;
-            results.push({ txnId, status: 'error' });
-          } else {
-            db.run('UPDATE users SET offline_balance = offline_balance - ? WHERE phone = ?', [amount, fromPhone]);
-            db.run('UPDATE merchants SET balance = balance + ? WHERE merchant_id = ?', [amount, toMerchant]);
-            processed++;
-            results.push({ txnId, status: 'success' });
-          }
-          sendResponse();
-        });
+  try {
+    const device = await withTransaction(async () => {
+      const row = await dbGet(
+        'SELECT * FROM devices WHERE id = ? AND owner_type = ? AND owner_id = ?',
+        [req.params.id, ownerType, ownerId]
+      );
+      if (!row) {
+        throw new GuardError('not_found', 'Device not found');
+      }
+      if (row.status !== 'active') {
+        throw new GuardError('not_active', 'Device is already retired');
+      }
+
+      const active = await dbGet(
+        "SELECT COUNT(*) AS count FROM devices WHERE owner_type = ? AND owner_id = ? AND status = 'active'",
+        [ownerType, ownerId]
+      );
+      if (active.count <= 1) {
+        throw new GuardError('last_device', 'Cannot retire the only active device');
       }
+
+      await dbRun(
+        "UPDATE devices SET status = 'retired', retired_at = ? WHERE id = ?",
+        [new Date().toISOString(), row.id]
+      );
+      return dbGet('SELECT * FROM devices WHERE id = ?', [row.id]);
     });
-  });
+
+    res.json({ success: true, device: formatDevice(device) });
+  } catch (error) {
+    if (error instanceof GuardError) {
+      const status = error.code === 'not_found' ? 404 : 409;
+      return res.status(status).json({ error: error.message, code: error.code });
+    }
+    console.error('Retire device error:', error);
+    res.status(500).json({ error: 'Failed to retire device' });
+  }
+});
+
+// List Sessions (Protected) - logins that can still refresh
+app.get('/api/sessions', authenticateToken, async (req, res) => {
+  const { ownerType, ownerId } = deviceOwner(req.user);
+
+  try {
+    const rows = await dbAll(
+      `SELECT * FROM sessions
+       WHERE owner_type = ? AND owner_id = ? AND revoked_at IS NULL
+         AND EXISTS (
+           SELECT 1 FROM refresh_tokens
+           WHERE session_id = sessions.id AND used_at IS NULL AND expires_at > ?
+         )
+       ORDER BY last_used_at DESC`,
+      [ownerType, ownerId, new Date().toISOString()]
+    );
+    res.json({ sessions: rows.map((row) => formatSession(row, req.user.sid)) });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Revoke Other Sessions (Protected) - keeps the caller logged in
+app.post('/api/sessions/revoke-others', authenticateToken, async (req, res) => {
+  const { ownerType, ownerId } = deviceOwner(req.user);
+
+  try {
+    const revoked = await revokeSessions(ownerType, ownerId, req.user.sid);
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// Revoke Session (Protected)
+app.post('/api/sessions/:id/revoke', authenticateToken, async (req, res) => {
+  const { ownerType, ownerId } = deviceOwner(req.user);
+
+  try {
+    const result = await dbRun(
+      `UPDATE sessions SET revoked_at = ?
+       WHERE id = ? AND owner_type = ? AND owner_id = ? AND revoked_at IS NULL`,
+      [new Date().toISOString(), req.params.id, ownerType, ownerId]
+    );
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
 });
 
 // Get Transaction History (Protected)
@@ -774,16 +2213,17 @@ app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
       db.run(
         `UPDATE ${table} SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE phone = ?`,
         [newHash, phone],
-        (err) => {
+        async (err) => {
           if (err) {
             return res.status(500).json({ error: 'Failed to update password' });
           }
 
-          // Invalidate all refresh tokens
-          if (type === 'user') {
-            db.run('DELETE FROM refresh_tokens WHERE user_phone = ?', [phone]);
-          } else {
-            db.run('DELETE FROM refresh_tokens WHERE merchant_id = ?', [req.user.merchantId]);
+          // Log out every session, including this one
+          const { ownerType, ownerId } = deviceOwner(req.user);
+          try {
+            await revokeSessions(ownerType, ownerId);
+          } catch (error) {
+            console.error('Revoke sessions error:', error);
           }
 
           res.json({ success: true, message: 'Password updated. Please login again.' });
@@ -796,68 +2236,255 @@ app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
   }
 });
 
-// Set Payment PIN (Protected)
+// Set Payment PIN (Protected) - needs the account password, since a PIN change
+// is what a thief holding an unlocked phone would try first. Returns the verifier
+// the wallet keeps for offline PIN checks.
 app.post('/api/auth/set-pin', authenticateToken, async (req, res) => {
   try {
-    const { pin } = req.body;
+    const { pin, password } = req.body;
     const { phone, type } = req.user;
 
-    if (!pin || !/^\d{4,6}$/.test(pin)) {
+    if (typeof pin !== 'string' || !/^\d{4,6}$/.test(pin)) {
       return res.status(400).json({ error: 'PIN must be 4-6 digits' });
     }
 
-    const pinHash = await bcrypt.hash(pin, BCRYPT_ROUNDS);
+    if (!password) {
+      return res.status(400).json({ error: 'Password required' });
+    }
+
     const table = type === 'user' ? 'users' : 'merchants';
+    const account = await dbGet(`SELECT password_hash FROM ${table} WHERE phone = ?`, [phone]);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
 
-    db.run(
-      `UPDATE ${table} SET pin_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE phone = ?`,
-      [pinHash, phone],
-      (err) => {
-        if (err) {
-          return res.status(500).json({ error: 'Failed to set PIN' });
-        }
-        res.json({ success: true, message: 'PIN set successfully' });
-      }
+    const validPassword = await bcrypt.compare(password, account.password_hash);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const pinHash = await bcrypt.hash(pin, BCRYPT_ROUNDS);
+    const verifier = await buildPinVerifier(pin);
+
+    await dbRun(
+      `UPDATE ${table}
+       SET pin_hash = ?, pin_verifier = ?, pin_failed_attempts = 0, pin_locked_until = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE phone = ?`,
+      [pinHash, JSON.stringify(verifier), phone]
     );
+
+    res.json({ success: true, message: 'PIN set successfully', pinVerifier: verifier });
   } catch (error) {
     console.error('Set PIN error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Verify PIN (for payments)
+// Verify PIN (Protected) - the online check the wallet uses to lift its offline
+// PIN lockout. Wrong PINs are counted here too.
 app.post('/api/auth/verify-pin', authenticateToken, async (req, res) => {
   try {
     const { pin } = req.body;
     const { phone, type } = req.user;
 
-    if (!pin) {
+    if (typeof pin !== 'string' || !pin) {
       return res.status(400).json({ error: 'PIN required' });
     }
 
     const table = type === 'user' ? 'users' : 'merchants';
-    
-    db.get(`SELECT pin_hash FROM ${table} WHERE phone = ?`, [phone], async (err, row) => {
-      if (err || !row) {
-        return res.status(404).json({ error: 'Account not found' });
+    const row = await dbGet(
+      `SELECT pin_hash, pin_failed_attempts, pin_locked_until FROM ${table} WHERE phone = ?`,
+      [phone]
+    );
+
+    if (!row) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    if (!row.pin_hash) {
+      return res.status(400).json({ error: 'PIN not set' });
+    }
+
+    if (isAccountLocked(row.pin_locked_until)) {
+      return res.status(423).json({ error: 'Too many wrong PINs. Try again later.', code: 'pin_locked' });
+    }
+
+    const validPin = await bcrypt.compare(pin, row.pin_hash);
+
+    if (!validPin) {
+      const attempts = row.pin_failed_attempts + 1;
+      const lockUntil = attempts >= PIN_MAX_ATTEMPTS
+        ? new Date(Date.now() + PIN_LOCK_MS).toISOString()
+        : null;
+
+      await dbRun(
+        `UPDATE ${table} SET pin_failed_attempts = ?, pin_locked_until = ? WHERE phone = ?`,
+        [lockUntil ? 0 : attempts, lockUntil, phone]
+      );
+
+      return res.json({ valid: false, attemptsRemaining: lockUntil ? 0 : PIN_MAX_ATTEMPTS - attempts });
+    }
+
+    await dbRun(
+      `UPDATE ${table} SET pin_failed_attempts = 0, pin_locked_until = NULL WHERE phone = ?`,
+      [phone]
+    );
+    res.json({ valid: true });
+  } catch (error) {
+    console.error('Verify PIN error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ==================== ADMIN ROUTES ====================
+
+// List Quarantine Cases (Admin)
+app.get('/api/admin/quarantine', authenticateAdmin, async (req, res) => {
+  const status = req.query.status || 'open';
+  const limit = parseInt(req.query.limit) || 50;
+  const offset = parseInt(req.query.offset) || 0;
+
+  try {
+    const rows = req.query.phone
+      ? await dbAll(
+        'SELECT * FROM quarantine_cases WHERE status = ? AND payer_phone = ? ORDER BY id DESC LIMIT ? OFFSET ?',
+        [status, req.query.phone, limit, offset]
+      )
+      : await dbAll(
+        'SELECT * FROM quarantine_cases WHERE status = ? ORDER BY id DESC LIMIT ? OFFSET ?',
+        [status, limit, offset]
+      );
+
+    res.json({ cases: rows.map(formatCase) });
+  } catch (error) {
+    console.error('List quarantine error:', error);
+    res.status(500).json({ error: 'Failed to fetch quarantine cases' });
+  }
+});
+
+// Get Quarantine Case (Admin)
+app.get('/api/admin/quarantine/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const row = await dbGet('SELECT * FROM quarantine_cases WHERE id = ?', [req.params.id]);
+    if (!row) {
+      return res.status(404).json({ error: 'Case not found' });
+    }
+
+    const flags = await dbAll(
+      'SELECT reason, case_id, created_at FROM payer_flags WHERE phone = ? ORDER BY id DESC',
+      [row.payer_phone]
+    );
+
+    res.json({
+      case: formatCase(row),
+      payerFlags: flags.map((flag) => ({
+        reason: flag.reason,
+        caseId: flag.case_id,
+        createdAt: flag.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get quarantine error:', error);
+    res.status(500).json({ error: 'Failed to fetch quarantine case' });
+  }
+});
+
+// Resolve Quarantine Case (Admin)
+// credit_from_pool: merchant is paid from the guarantee pool
+// claw_back: merchant is paid from the payer's remaining balances
+// reject: merchant is not paid
+app.post('/api/admin/quarantine/:id/resolve', authenticateAdmin, async (req, res) => {
+  const { resolution, note } = req.body;
+
+  if (!CASE_RESOLUTIONS.includes(resolution)) {
+    return res.status(400).json({ error: `Resolution must be one of: ${CASE_RESOLUTIONS.join(', ')}` });
+  }
+
+  try {
+    const resolved = await withTransaction(async () => {
+      const row = await dbGet('SELECT * FROM quarantine_cases WHERE id = ?', [req.params.id]);
+      if (!row) {
+        throw new GuardError('not_found', 'Case not found');
+      }
+      if (row.status !== 'open') {
+        throw new GuardError('already_resolved', 'Case is already resolved');
+      }
+
+      if (resolution === 'credit_from_pool') {
+        await postJournal('quarantine_pool_credit', row.txn_id, `Guarantee pool payout for quarantine case ${row.id}`, [
+          { account: await getAccount('system', SYSTEM_OWNER, 'guarantee_pool'), amount: -row.amount },
+          { account: await getAccount('merchant', row.merchant_id, 'merchant'), amount: row.amount },
+        ]);
+      } else if (resolution === 'claw_back') {
+        await clawBack(row);
       }
 
-      if (!row.pin_hash) {
-        return res.status(400).json({ error: 'PIN not set' });
+      if (resolution !== 'reject') {
+        // Counts toward the payer's daily spend like any settled payment
+        const token = JSON.parse(row.token);
+        await dbRun(
+          'INSERT INTO transactions (txn_id, from_phone, to_merchant, amount, counter, device_id, signature, status, spend_day, synced_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
+          [row.txn_id, row.payer_phone, row.merchant_id, row.amount, row.counter, row.device_id, token.signature, 'completed', spendDay(token.timestamp)]
+        );
       }
 
-      const validPin = await bcrypt.compare(pin, row.pin_hash);
-      res.json({ valid: validPin });
+      await dbRun(
+        `UPDATE quarantine_cases SET status = 'resolved', resolution = ?, resolution_note = ?, resolved_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [resolution, note || null, row.id]
+      );
+
+      return dbGet('SELECT * FROM quarantine_cases WHERE id = ?', [row.id]);
     });
+
+    res.json({ success: true, case: formatCase(resolved) });
   } catch (error) {
-    console.error('Verify PIN error:', error);
-    res.status(500).json({ error: 'Server error' });
+    if (error instanceof GuardError) {
+      const status = error.code === 'not_found' ? 404 : 409;
+      return res.status(status).json({ error: error.message, code: error.code });
+    }
+    console.error('Resolve quarantine error:', error);
+    res.status(500).json({ error: 'Failed to resolve case' });
   }
 });
 
-// Start server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`✅ TokPay Backend running on http://localhost:${PORT}`);
-  console.log('🔐 Security features enabled: Helmet, Rate Limiting, JWT Auth');
+// Revoke User Signing Key (Admin)
+app.post('/api/admin/users/:phone/revoke-key', authenticateAdmin, async (req, res) => {
+  try {
+    const user = await dbGet('SELECT phone FROM users WHERE phone = ?', [req.params.phone]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const version = await revokeUserKeys(user.phone, req.body.publicKey, req.body.reason, 'admin');
+    if (version === null) {
+      return res.status(404).json({ error: 'Device key not found' });
+    }
+    res.json({ success: true, message: 'Signing key revoked', version });
+  } catch (error) {
+    console.error('Admin revoke key error:', error);
+    res.status(500).json({ error: 'Failed to revoke key' });
+  }
 });
+
+// Start server once the schema is current. A database migrated by newer
+// code is refused rather than served. Tests load the app without starting it.
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  migrate(dbHelpers)
+    .then((applied) => {
+      applied.forEach((migration) => console.log(`✅ Applied migration ${migration.version}_${migration.name}`));
+      console.log('✅ Database schema is up to date');
+      app.listen(PORT, () => {
+        console.log(`✅ TokPay Backend running on http://localhost:${PORT}`);
+        console.log('🔐 Security features enabled: Helmet, Rate Limiting, JWT Auth');
+      });
+    })
+    .catch((error) => {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { app, db: dbHelpers };
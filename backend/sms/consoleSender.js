@@ -0,0 +1,10 @@
+// Development sender: prints messages to the server log
+function createConsoleSender() {
+  return {
+    async send(phone, message) {
+      console.log(`📱 SMS to ${phone}: ${message}`);
+    }
+  };
+}
+
+module.exports = createConsoleSender;
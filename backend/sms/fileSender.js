@@ -0,0 +1,16 @@
+const fs = require('fs');
+
+// Development sender: appends one JSON line per message to SMS_OUTBOX_FILE,
+// so scripts can read codes back without a phone
+function createFileSender(env) {
+  const file = env.SMS_OUTBOX_FILE || './sms-outbox.log';
+
+  return {
+    async send(phone, message) {
+      const line = JSON.stringify({ phone, message, sentAt: new Date().toISOString() });
+      await fs.promises.appendFile(file, line + '\n', { mode: 0o600 });
+    }
+  };
+}
+
+module.exports = createFileSender;
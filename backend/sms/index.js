@@ -0,0 +1,30 @@
+// SMS gateway. A sender is an object with `async send(phone, message)`.
+// SMS_PROVIDER picks one; add a real gateway by dropping a factory in here
+// and registering it in SENDERS.
+const createConsoleSender = require('./consoleSender');
+const createFileSender = require('./fileSender');
+
+const SENDERS = {
+  console: createConsoleSender,
+  file: createFileSender,
+};
+
+// Senders that never deliver anything; fine for development only
+const DEVELOPMENT_SENDERS = ['console', 'file'];
+
+function createSmsSender(env = process.env) {
+  const provider = env.SMS_PROVIDER || 'console';
+  const createSender = SENDERS[provider];
+
+  if (!createSender) {
+    throw new Error(`Unknown SMS_PROVIDER "${provider}" (expected one of: ${Object.keys(SENDERS).join(', ')})`);
+  }
+
+  if (env.NODE_ENV === 'production' && DEVELOPMENT_SENDERS.includes(provider)) {
+    console.warn(`⚠️  SMS_PROVIDER "${provider}" does not deliver messages; OTP codes will not reach users`);
+  }
+
+  return createSender(env);
+}
+
+module.exports = { createSmsSender };
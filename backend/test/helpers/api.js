@@ -0,0 +1,101 @@
+// The API in this process on an in-memory database, for tests that go through
+// HTTP. node --test runs every test file in its own process, so each file gets
+// a fresh database and fresh rate limits.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nacl = require('tweetnacl');
+const naclUtil = require('tweetnacl-util');
+
+const ADMIN_KEY = 'admin-secret';
+const PASSWORD = 'Passw0rd!';
+
+async function startApi() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokpay-api-'));
+  const outbox = path.join(dir, 'sms-outbox.log');
+
+  // Read when the server module loads, so set before requiring it
+  Object.assign(process.env, {
+    DB_FILE: ':memory:',
+    JWT_SECRET: 'test-secret',
+    SERVER_SIGNING_KEY: naclUtil.encodeBase64(nacl.randomBytes(nacl.sign.seedLength)),
+    ADMIN_API_KEY: ADMIN_KEY,
+    SMS_PROVIDER: 'file',
+    SMS_OUTBOX_FILE: outbox,
+  });
+  const { app, db } = require('../../server');
+  const { migrate } = require('../../db/migrate');
+
+  await migrate(db);
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  // Returns { status, body }
+  async function call(method, route, { body, token, headers = {} } = {}) {
+    const response = await fetch(baseUrl + route, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  const admin = (method, route, body) => call(method, route, { body, headers: { 'X-Admin-Key': ADMIN_KEY } });
+
+  // The last code texted to `phone`
+  function lastCode(phone) {
+    const messages = fs.readFileSync(outbox, 'utf8').trim().split('\n')
+      .map((line) => JSON.parse(line))
+      .filter((message) => message.phone === phone);
+    return messages[messages.length - 1].message.slice(0, 6);
+  }
+
+  // Answer a key possession challenge with `keyPair`
+  async function prove(keyPair, purpose) {
+    const { body } = await call('POST', '/challenge', { body: { purpose } });
+    const message = naclUtil.decodeUTF8(`tokpay:${purpose}:${body.challenge}`);
+    return {
+      challenge: body.challenge,
+      signature: naclUtil.encodeBase64(nacl.sign.detached(message, keyPair.secretKey)),
+    };
+  }
+
+  // Register an account with a fresh device key, verifying its phone number
+  // with the code sent on registration unless `verify` is false
+  async function register(route, purpose, fields, verify) {
+    const keyPair = nacl.sign.keyPair();
+    const publicKey = naclUtil.encodeBase64(keyPair.publicKey);
+    const { status, body } = await call('POST', route, {
+      body: { ...fields, password: PASSWORD, name: 'Test', publicKey, ...(await prove(keyPair, purpose)) },
+    });
+    if (status !== 201) {
+      throw new Error(`Registration failed (${status}): ${body.error}`);
+    }
+    if (verify) {
+      await call('POST', '/verify-phone', { body: { code: lastCode(fields.phone) }, token: body.accessToken });
+    }
+    return { ...fields, keyPair, accessToken: body.accessToken, refreshToken: body.refreshToken };
+  }
+
+  const registerUser = (phone, { verify = true } = {}) =>
+    register('/auth/register', 'register', { phone }, verify);
+  const registerMerchant = (merchantId, phone) =>
+    register('/auth/merchant/register', 'merchant_register', { merchantId, phone }, true);
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { db, call, admin, lastCode, registerUser, registerMerchant, close };
+}
+
+module.exports = { PASSWORD, startApi };
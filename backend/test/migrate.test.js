@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openDatabase, createHelpers } = require('../db');
+const { migrate, loadMigrations } = require('../db/migrate');
+
+// Tables as the server created them before migrations existed
+const BASELINE_SCHEMA = [
+  `CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    phone TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    name TEXT NOT NULL,
+    pin_hash TEXT,
+    balance REAL DEFAULT 0,
+    offline_balance REAL DEFAULT 0,
+    public_key TEXT NOT NULL,
+    is_verified INTEGER DEFAULT 0,
+    failed_attempts INTEGER DEFAULT 0,
+    locked_until DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE merchants (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    merchant_id TEXT UNIQUE NOT NULL,
+    phone TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    name TEXT NOT NULL,
+    pin_hash TEXT,
+    balance REAL DEFAULT 0,
+    public_key TEXT NOT NULL,
+    is_verified INTEGER DEFAULT 0,
+    failed_attempts INTEGER DEFAULT 0,
+    locked_until DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE transactions (
+    txn_id TEXT PRIMARY KEY,
+    from_phone TEXT NOT NULL,
+    to_merchant TEXT NOT NULL,
+    amount REAL NOT NULL,
+    counter INTEGER NOT NULL,
+    signature TEXT NOT NULL,
+    status TEXT DEFAULT 'pending',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    synced_at DATETIME
+  )`,
+  `CREATE TABLE refresh_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_phone TEXT,
+    merchant_id TEXT,
+    token_hash TEXT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+];
+
+let dir;
+
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokpay-migrate-'));
+});
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function withDatabase(name, work) {
+  const db = createHelpers(openDatabase(path.join(dir, name)));
+  try {
+    return await work(db);
+  } finally {
+    await db.close();
+  }
+}
+
+// Columns and indexes of every table, to compare two databases' schemas
+async function describeSchema(db) {
+  const tables = await db.all(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+  );
+  const schema = {};
+  for (const { name } of tables) {
+    const columns = await db.all(`PRAGMA table_info(${name})`);
+    const indexes = await db.all(`PRAGMA index_list(${name})`);
+    schema[name] = {
+      columns: columns.map((column) => column.name).sort(),
+      indexes: indexes.map((index) => index.name).filter((index) => !index.startsWith('sqlite_')).sort(),
+    };
+  }
+  return schema;
+}
+
+test('a database from before migrations upgrades to the current schema', async () => {
+  const fresh = await withDatabase('fresh.db', async (db) => {
+    await migrate(db);
+    return describeSchema(db);
+  });
+
+  await withDatabase('baseline.db', async (db) => {
+    for (const sql of BASELINE_SCHEMA) {
+      await db.run(sql);
+    }
+    await db.run(
+      "INSERT INTO users (phone, password_hash, name, balance, offline_balance, public_key) VALUES ('9876543210', 'h', 'Asha', 125.5, 20, 'userKey')"
+    );
+    await db.run(
+      "INSERT INTO merchants (merchant_id, phone, password_hash, name, balance, public_key) VALUES ('SHOP1', '9876543211', 'h', 'Shop', 10.25, 'merchantKey')"
+    );
+    await db.run(
+      "INSERT INTO transactions (txn_id, from_phone, to_merchant, amount, counter, signature) VALUES ('T1', '9876543210', 'SHOP1', 10.25, 0, 'sig')"
+    );
+    await db.run(
+      "INSERT INTO refresh_tokens (user_phone, token_hash, expires_at) VALUES ('9876543210', 'hash', '2099-01-01')"
+    );
+
+    const applied = await migrate(db);
+    assert.deepEqual(applied.map((migration) => migration.version), loadMigrations().map((migration) => migration.version));
+    assert.deepEqual(await describeSchema(db), fresh);
+
+    // Rupees became paise
+    const user = await db.get("SELECT balance, offline_balance FROM users WHERE phone = '9876543210'");
+    assert.deepEqual({ ...user }, { balance: 12550, offline_balance: 2000 });
+    const txn = await db.get("SELECT amount FROM transactions WHERE txn_id = 'T1'");
+    assert.equal(txn.amount, 1025);
+
+    // Registration keys became devices
+    const devices = await db.all('SELECT owner_type, owner_id, public_key FROM devices ORDER BY id');
+    assert.deepEqual(devices.map((row) => ({ ...row })), [
+      { owner_type: 'user', owner_id: '9876543210', public_key: 'userKey' },
+      { owner_type: 'merchant', owner_id: 'SHOP1', public_key: 'merchantKey' },
+    ]);
+
+    // Sessionless refresh tokens are dropped
+    const tokens = await db.get('SELECT COUNT(*) AS count FROM refresh_tokens');
+    assert.equal(tokens.count, 0);
+
+    assert.deepEqual(await migrate(db), []);
+  });
+});
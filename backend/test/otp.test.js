@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api');
+
+let api;
+
+test.before(async () => {
+  api = await startApi();
+});
+
+test.after(() => api.close());
+
+const verifyPhone = (user, code) => api.call('POST', '/verify-phone', { body: { code }, token: user.accessToken });
+
+// A code that differs from `code` in its last digit
+const wrongCode = (code) => code.slice(0, 5) + ((Number(code[5]) + 1) % 10);
+
+test('a verification code works once', async () => {
+  const user = await api.registerUser('9876543210', { verify: false });
+  const code = api.lastCode(user.phone);
+
+  const verified = await verifyPhone(user, code);
+  assert.equal(verified.status, 200);
+  assert.equal(verified.body.isVerified, true);
+
+  const again = await verifyPhone(user, code);
+  assert.equal(again.status, 400);
+  assert.equal(again.body.code, 'otp_missing');
+});
+
+test('an expired verification code is refused', async () => {
+  const user = await api.registerUser('9876543211', { verify: false });
+  await api.db.run('UPDATE otp_codes SET expires_at = ? WHERE phone = ?', [Date.now() - 1, user.phone]);
+
+  const response = await verifyPhone(user, api.lastCode(user.phone));
+  assert.equal(response.status, 400);
+  assert.equal(response.body.code, 'otp_expired');
+
+  const load = await api.call('POST', '/load-balance', { body: { amountPaise: 100 }, token: user.accessToken });
+  assert.equal(load.status, 403);
+  assert.equal(load.body.code, 'phone_unverified');
+});
+
+test('five wrong guesses use up a code, even for the right one after', async () => {
+  const user = await api.registerUser('9876543212', { verify: false });
+  const code = api.lastCode(user.phone);
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const response = await verifyPhone(user, wrongCode(code));
+    assert.equal(response.body.code, 'otp_invalid');
+  }
+
+  const locked = await verifyPhone(user, code);
+  assert.equal(locked.status, 400);
+  assert.equal(locked.body.code, 'otp_locked');
+});
+
+test('a new code is only sent after the resend cooldown', async () => {
+  const user = await api.registerUser('9876543213', { verify: false });
+
+  const response = await api.call('POST', '/verify-phone/send', { token: user.accessToken });
+  assert.equal(response.status, 429);
+  assert.equal(response.body.code, 'otp_throttled');
+  assert.ok(response.body.retryAfter > 0 && response.body.retryAfter <= 60);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, PASSWORD } = require('./helpers/api');
+
+let api;
+let user;
+
+test.before(async () => {
+  api = await startApi();
+  user = await api.registerUser('9876543210');
+});
+
+test.after(() => api.close());
+
+const refresh = (refreshToken) => api.call('POST', '/auth/refresh', { body: { refreshToken } });
+
+test('refresh tokens rotate, and reusing one revokes its whole session', async () => {
+  const other = await api.call('POST', '/auth/login', {
+    body: { phone: user.phone, password: PASSWORD, deviceLabel: 'Tablet' },
+  });
+  assert.equal(other.status, 200);
+
+  const rotated = await refresh(user.refreshToken);
+  assert.equal(rotated.status, 200);
+  assert.notEqual(rotated.body.refreshToken, user.refreshToken);
+
+  // The old token again, as a thief holding a copy would send it
+  const reused = await refresh(user.refreshToken);
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.code, 'SESSION_REVOKED');
+
+  // Every token of that session is dead, including the newest ones
+  const newest = await refresh(rotated.body.refreshToken);
+  assert.equal(newest.body.code, 'SESSION_REVOKED');
+  const profile = await api.call('GET', '/user/profile', { token: rotated.body.accessToken });
+  assert.equal(profile.status, 401);
+  assert.equal(profile.body.code, 'SESSION_REVOKED');
+
+  // The user's other session is untouched
+  const otherRefresh = await refresh(other.body.refreshToken);
+  assert.equal(otherRefresh.status, 200);
+  const otherProfile = await api.call('GET', '/user/profile', { token: otherRefresh.body.accessToken });
+  assert.equal(otherProfile.status, 200);
+});
+
+test('access tokens are not accepted as refresh tokens', async () => {
+  const response = await refresh(user.accessToken);
+  assert.equal(response.status, 403);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signPayment, createTxnId } = require('@tokpay/core');
+const { startApi } = require('./helpers/api');
+
+let api;
+let payer;
+let merchant;
+
+test.before(async () => {
+  api = await startApi();
+  payer = await api.registerUser('9876543210');
+  merchant = await api.registerMerchant('SHOP1', '9876543211');
+  await api.call('POST', '/load-balance', { body: { amountPaise: 10000 }, token: payer.accessToken });
+});
+
+test.after(() => api.close());
+
+function pay(amountPaise, counter, { to = 'SHOP1', txnId = createTxnId() } = {}) {
+  return signPayment(
+    { from: payer.phone, to, amountPaise, counter, timestamp: Date.now(), txnId },
+    payer.keyPair.secretKey
+  );
+}
+
+async function sync(...tokens) {
+  const { status, body } = await api.call('POST', '/sync', { body: { transactions: tokens }, token: merchant.accessToken });
+  assert.equal(status, 200);
+  return body.results;
+}
+
+async function balance(account) {
+  const { body } = await api.call('GET', '/balance', { token: account.accessToken });
+  return body;
+}
+
+test('a payment settles once, and syncing it again is a duplicate', async () => {
+  const token = pay(2500, 0);
+
+  assert.deepEqual(await sync(token), [{ txnId: token.txnId, status: 'success' }]);
+  assert.deepEqual(await sync(token), [{ txnId: token.txnId, status: 'duplicate' }]);
+
+  assert.equal((await balance(payer)).offlineBalancePaise, 7500);
+  assert.equal((await balance(merchant)).balancePaise, 2500);
+});
+
+test('a second token with a used counter is quarantined as a double-spend', async () => {
+  const first = pay(1000, 1);
+  const second = pay(1000, 1);
+
+  const [settled, reused] = await sync(first, second);
+  assert.equal(settled.status, 'success');
+  assert.equal(reused.status, 'counter_reused');
+
+  const { body } = await api.admin('GET', `/admin/quarantine/${reused.caseId}`);
+  assert.equal(body.case.txnId, second.txnId);
+  assert.equal(body.case.conflicting.txnId, first.txnId);
+  assert.equal((await balance(merchant)).balancePaise, 3500);
+});
+
+test('a token beyond the offline balance is quarantined as an overdraft, and its counter stays used', async () => {
+  const [overdraft] = await sync(pay(50000, 2));
+  assert.equal(overdraft.status, 'insufficient_offline_balance');
+
+  const { body } = await api.admin('GET', `/admin/quarantine/${overdraft.caseId}`);
+  assert.equal(body.case.reason, 'overdraft');
+  assert.equal((await balance(payer)).offlineBalancePaise, 6500);
+
+  const [reused] = await sync(pay(100, 2));
+  assert.equal(reused.status, 'counter_reused');
+});
+
+test('only the merchant a payment is to can sync it', async () => {
+  const token = pay(100, 3, { to: 'SHOP2' });
+
+  const other = await api.call('POST', '/sync', { body: { transactions: [token] }, token: merchant.accessToken });
+  assert.equal(other.status, 403);
+  const byPayer = await api.call('POST', '/sync', { body: { transactions: [pay(100, 3)] }, token: payer.accessToken });
+  assert.equal(byPayer.status, 403);
+});
+
+test('tokens signed by a revoked key are refused', async () => {
+  const revoked = await api.admin('POST', `/admin/users/${payer.phone}/revoke-key`, { reason: 'stolen' });
+  assert.equal(revoked.status, 200);
+
+  const token = pay(100, 4);
+  assert.deepEqual(await sync(token), [{ txnId: token.txnId, status: 'key_revoked' }]);
+  assert.equal((await balance(payer)).offlineBalancePaise, 6500);
+});
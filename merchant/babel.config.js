@@ -1,3 +1,7 @@
 module.exports = {
   presets: ['module:metro-react-native-babel-preset'],
+  plugins: [
+    // Build-time settings (see src/config/server.js)
+    ['transform-inline-environment-variables', { include: ['TOKPAY_SERVER_PUBLIC_KEY'] }],
+  ],
 };
@@ -1,5 +1,9 @@
+const path = require('path');
 const {getDefaultConfig, mergeConfig} = require('@react-native/metro-config');
 
-const config = {};
+// The backend client lives in ../packages and is shared with the other app
+const config = {
+  watchFolders: [path.resolve(__dirname, '../packages')],
+};
 
 module.exports = mergeConfig(getDefaultConfig(__dirname), config);
@@ -1,18 +1,74 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useRef } from 'react';
 import * as Keychain from 'react-native-keychain';
 import nacl from 'tweetnacl';
 import naclUtil from 'tweetnacl-util';
+import {
+  validatePayment,
+  verifyPayment,
+  checkPaymentLimits,
+  verifyCertificate,
+  verifyPolicy,
+  verifyRevocationList,
+  TOKEN_ERRORS,
+  CERTIFICATE_VERSION,
+} from '@tokpay/core';
+import ApiClient, { DEVICE_LABEL } from '../services/ApiClient';
+import StorageService from '../services/StorageService';
+import { DEFAULT_POLICY, spendDay } from '../config/policy';
+import { SERVER_PUBLIC_KEY } from '../config/server';
+
+// Check that the payer's offline balance certificate was issued by our server
+// for this key, is still valid, and covers the token
+function verifyBalanceCertificate(token) {
+  const cert = token.certificate;
+  if (!cert || typeof cert.signature !== 'string') {
+    return 'Missing balance certificate';
+  }
+  if (cert.version !== CERTIFICATE_VERSION) {
+    return 'Outdated balance certificate';
+  }
+
+  if (!verifyCertificate(cert, SERVER_PUBLIC_KEY)) {
+    return 'Invalid balance certificate';
+  }
+
+  if (cert.publicKey !== token.publicKey || cert.phone !== token.from) {
+    return 'Certificate does not match payer';
+  }
+
+  const now = Date.now();
+  if (now < cert.issuedAt || now > cert.expiresAt) {
+    return 'Balance certificate expired';
+  }
+
+  if (token.counter < cert.counterStart) {
+    return 'Token predates balance certificate';
+  }
+
+  if (token.amountPaise > cert.amountPaise) {
+    return 'Amount exceeds certified balance';
+  }
+
+  return null;
+}
+
+const REVOCATIONS_SERVICE = 'tokpay-revocations';
+const POLICY_SERVICE = 'tokpay-policy';
+
+const POLICY_UNVERIFIED = 'Could not verify the limits sent by the server. The last verified limits still apply.';
 
 // Initial state
 const initialState = {
   merchant: null,
   isLoggedIn: false,
-  balance: 0,
+  balance: 0, // Paise received, shown as "Today's Collection"
   keyPair: null,
-  transactions: [],
+  transactions: [], // Persisted by StorageService, with the replay guard
   pendingSync: [],
   bleActive: false,
-  lastCounter: {}, // Track last counter per user to prevent replay
+  revocations: { version: 0, keys: [] }, // Revoked payer keys, synced from server
+  policy: DEFAULT_POLICY, // Limits and timings, synced from server
+  policyError: null, // Why the latest policy from the server was not taken
 };
 
 // Action types
@@ -20,11 +76,14 @@ const ACTIONS = {
   SET_MERCHANT: 'SET_MERCHANT',
   SET_BALANCE: 'SET_BALANCE',
   SET_KEYPAIR: 'SET_KEYPAIR',
+  HYDRATE_PAYMENTS: 'HYDRATE_PAYMENTS',
   ADD_TRANSACTION: 'ADD_TRANSACTION',
   ADD_PENDING_SYNC: 'ADD_PENDING_SYNC',
-  CLEAR_PENDING_SYNC: 'CLEAR_PENDING_SYNC',
+  MARK_SYNCED: 'MARK_SYNCED',
   SET_BLE_ACTIVE: 'SET_BLE_ACTIVE',
-  UPDATE_COUNTER: 'UPDATE_COUNTER',
+  SET_REVOCATIONS: 'SET_REVOCATIONS',
+  SET_POLICY: 'SET_POLICY',
+  SET_POLICY_ERROR: 'SET_POLICY_ERROR',
   LOGOUT: 'LOGOUT',
 };
 
@@ -44,11 +103,18 @@ function appReducer(state, action) {
     case ACTIONS.SET_KEYPAIR:
       return { ...state, keyPair: action.payload };
     
+    case ACTIONS.HYDRATE_PAYMENTS:
+      return {
+        ...state,
+        transactions: action.payload,
+        pendingSync: action.payload.filter((txn) => txn.status !== 'synced')
+      };
+    
     case ACTIONS.ADD_TRANSACTION:
       return { 
         ...state, 
         transactions: [action.payload, ...state.transactions],
-        balance: state.balance + action.payload.amount
+        balance: state.balance + action.payload.amountPaise
       };
     
     case ACTIONS.ADD_PENDING_SYNC:
@@ -57,23 +123,32 @@ function appReducer(state, action) {
         pendingSync: [...state.pendingSync, action.payload] 
       };
     
-    case ACTIONS.CLEAR_PENDING_SYNC:
-      return { ...state, pendingSync: [] };
+    case ACTIONS.MARK_SYNCED: {
+      const verdicts = new Map(action.payload.map((result) => [result.txnId, result.status]));
+      return {
+        ...state,
+        transactions: state.transactions.map((txn) =>
+          verdicts.has(txn.txnId) ? { ...txn, status: 'synced', syncStatus: verdicts.get(txn.txnId) } : txn
+        ),
+        pendingSync: state.pendingSync.filter((txn) => !verdicts.has(txn.txnId))
+      };
+    }
     
     case ACTIONS.SET_BLE_ACTIVE:
       return { ...state, bleActive: action.payload };
     
-    case ACTIONS.UPDATE_COUNTER:
-      return { 
-        ...state, 
-        lastCounter: {
-          ...state.lastCounter,
-          [action.payload.userPhone]: action.payload.counter
-        }
-      };
+    case ACTIONS.SET_REVOCATIONS:
+      return { ...state, revocations: action.payload };
+    
+    case ACTIONS.SET_POLICY:
+      return { ...state, policy: action.payload };
+    
+    case ACTIONS.SET_POLICY_ERROR:
+      return { ...state, policyError: action.payload };
     
     case ACTIONS.LOGOUT:
-      return initialState;
+      // Revocations and policy are not account data; keep them for the next merchant
+      return { ...initialState, revocations: state.revocations, policy: state.policy };
     
     default:
       return state;
@@ -87,11 +162,58 @@ const AppContext = createContext();
 export function AppProvider({ children }) {
   const [state, dispatch] = useReducer(appReducer, initialState);
 
+  // Latest state for code that outlives a render, such as the BLE payment
+  // callback registered once when the home screen mounts
+  const stateRef = useRef(state);
+  stateRef.current = state;
+
   // Generate or load keypair on startup
   useEffect(() => {
     loadOrCreateKeyPair();
+    loadRevocations();
+    loadPolicy();
   }, []);
 
+  // Once the merchant is known (restored at launch, or on login), bring back
+  // their payments, including any not yet synced
+  useEffect(() => {
+    if (state.merchant?.merchantId) {
+      loadPayments(state.merchant.merchantId);
+    }
+  }, [state.merchant?.merchantId]);
+
+  // The signed-in merchant, kept with the session so a restart comes back to them
+  async function setMerchant(merchant) {
+    dispatch({ type: ACTIONS.SET_MERCHANT, payload: merchant });
+    try {
+      await ApiClient.setAccount(merchant);
+    } catch (error) {
+      console.error('Failed to store account:', error);
+    }
+  }
+
+  // At launch with a stored session: bring back its merchant and their payments
+  async function restoreMerchant() {
+    try {
+      const merchant = await ApiClient.getAccount();
+      if (merchant) {
+        dispatch({ type: ACTIONS.SET_MERCHANT, payload: merchant });
+      }
+      return merchant;
+    } catch (error) {
+      console.error('Failed to restore account:', error);
+      return null;
+    }
+  }
+
+  async function loadPayments(merchantId) {
+    try {
+      dispatch({ type: ACTIONS.HYDRATE_PAYMENTS, payload: await StorageService.getPayments(merchantId) });
+    } catch (error) {
+      console.error('Failed to load payments:', error);
+    }
+  }
+
   // Load existing keypair or create new one
   async function loadOrCreateKeyPair() {
     try {
@@ -101,76 +223,278 @@ export function AppProvider({ children }) {
         const keyPair = JSON.parse(credentials.password);
         dispatch({ type: ACTIONS.SET_KEYPAIR, payload: keyPair });
       } else {
-        // Generate new Ed25519 keypair
-        const newKeyPair = nacl.sign.keyPair();
-        const keyData = {
-          publicKey: naclUtil.encodeBase64(newKeyPair.publicKey),
-          secretKey: naclUtil.encodeBase64(newKeyPair.secretKey),
-        };
-        
-        await Keychain.setGenericPassword('tokpay', JSON.stringify(keyData), { 
-          service: 'tokpay-merchant-keys' 
-        });
-        
-        dispatch({ type: ACTIONS.SET_KEYPAIR, payload: keyData });
+        await createKeyPair();
       }
     } catch (error) {
       console.error('Failed to load/create keypair:', error);
     }
   }
 
-  // Verify payment token from customer
-  function verifyPaymentToken(token) {
+  // Generate a new Ed25519 keypair and keep it in secure storage
+  async function createKeyPair() {
+    const newKeyPair = nacl.sign.keyPair();
+    return saveKeyPair({
+      publicKey: naclUtil.encodeBase64(newKeyPair.publicKey),
+      secretKey: naclUtil.encodeBase64(newKeyPair.secretKey),
+    });
+  }
+
+  // Replace this install's keypair (e.g. one restored from a recovery blob)
+  async function saveKeyPair(keyData) {
+    await Keychain.setGenericPassword('tokpay', JSON.stringify(keyData), { 
+      service: 'tokpay-merchant-keys' 
+    });
+
+    dispatch({ type: ACTIONS.SET_KEYPAIR, payload: keyData });
+    return keyData;
+  }
+
+  // Make sure this install's key is enrolled on the logged-in account. A reinstall
+  // creates a fresh keypair the server doesn't know yet, and a retired or revoked
+  // key can never sign again, so it is rotated to a new one first.
+  async function ensureDeviceEnrolled(keyPair = state.keyPair) {
+    if (!keyPair) return;
+
     try {
-      const { signature, publicKey, ...tokenData } = token;
-      
-      // Verify signature
-      const message = JSON.stringify(tokenData);
-      const messageBytes = naclUtil.decodeUTF8(message);
-      const signatureBytes = naclUtil.decodeBase64(signature);
-      const publicKeyBytes = naclUtil.decodeBase64(publicKey);
-      
-      const isValid = nacl.sign.detached.verify(messageBytes, signatureBytes, publicKeyBytes);
-      
-      if (!isValid) {
-        return { valid: false, error: 'Invalid signature' };
+      const { devices = [] } = await ApiClient.getDevices();
+      const current = devices.find((device) => device.publicKey === keyPair.publicKey);
+      if (current?.status === 'active') return;
+
+      if (current) {
+        keyPair = await createKeyPair();
+      }
+
+      const { challenge } = await ApiClient.getChallenge('enroll_device');
+      const signature = signChallenge('enroll_device', challenge, keyPair);
+      await ApiClient.enrollDevice(keyPair.publicKey, DEVICE_LABEL, { challenge, signature });
+    } catch (error) {
+      console.error('Device enrollment failed:', error);
+    }
+  }
+
+  // Read the stored revocation list (the source of truth across restarts)
+  async function readStoredRevocations() {
+    try {
+      const credentials = await Keychain.getGenericPassword({ service: REVOCATIONS_SERVICE });
+      return credentials ? JSON.parse(credentials.password) : initialState.revocations;
+    } catch (error) {
+      console.error('Failed to load revocations:', error);
+      return initialState.revocations;
+    }
+  }
+
+  async function loadRevocations() {
+    dispatch({ type: ACTIONS.SET_REVOCATIONS, payload: await readStoredRevocations() });
+  }
+
+  // Download revocations since our version (call whenever online).
+  // Deltas are only applied on top of the version they were computed from.
+  async function refreshRevocations() {
+    const stored = await readStoredRevocations();
+    let revocations = stored;
+
+    try {
+      while (true) {
+        const list = await ApiClient.getRevocations(revocations.version);
+
+        if (!verifyRevocationList(list, SERVER_PUBLIC_KEY) || list.since !== revocations.version) {
+          console.warn('Ignoring invalid revocation list');
+          break;
+        }
+
+        revocations = {
+          version: list.version,
+          keys: [...revocations.keys, ...list.keys],
+        };
+
+        if (list.complete) break;
       }
+    } catch (error) {
+      // Offline or server unreachable: keep the list we have
+      console.log('Revocation refresh skipped:', error.message);
+    }
+
+    if (revocations === stored) return;
+
+    try {
+      await Keychain.setGenericPassword('tokpay', JSON.stringify(revocations), {
+        service: REVOCATIONS_SERVICE
+      });
+    } catch (error) {
+      console.error('Failed to store revocations:', error);
+    }
+    dispatch({ type: ACTIONS.SET_REVOCATIONS, payload: revocations });
+  }
+
+  // Read the last verified policy, or the bundled one before the first fetch.
+  // A stored policy older than the bundled one may lack fields this build reads.
+  async function readStoredPolicy() {
+    try {
+      const credentials = await Keychain.getGenericPassword({ service: POLICY_SERVICE });
+      const stored = credentials ? JSON.parse(credentials.password) : null;
+      return stored && stored.version >= DEFAULT_POLICY.version ? stored : DEFAULT_POLICY;
+    } catch (error) {
+      console.error('Failed to load policy:', error);
+      return DEFAULT_POLICY;
+    }
+  }
+
+  async function loadPolicy() {
+    dispatch({ type: ACTIONS.SET_POLICY, payload: await readStoredPolicy() });
+  }
+
+  // Download the current policy (call whenever online). Only newer versions are
+  // taken, so replaying an old signed policy can't bring back looser limits.
+  async function refreshPolicy() {
+    const stored = await readStoredPolicy();
+    let signed;
+
+    try {
+      signed = await ApiClient.getPolicy();
+    } catch (error) {
+      // Offline or server unreachable: keep the policy we have
+      console.log('Policy refresh skipped:', error.message);
+      return;
+    }
+
+    // The server answered but its policy doesn't check out against the pinned
+    // key: a wrong key in this build, or a tampered response. Keep the policy
+    // we have and say so, as limits will stop following the server.
+    const policy = verifyPolicy(signed, SERVER_PUBLIC_KEY);
+    if (!policy) {
+      console.error('Policy failed verification');
+      dispatch({ type: ACTIONS.SET_POLICY_ERROR, payload: POLICY_UNVERIFIED });
+      return;
+    }
+    dispatch({ type: ACTIONS.SET_POLICY_ERROR, payload: null });
+
+    if (policy.version <= stored.version) return;
 
-      // Check amount limit
-      if (token.amount > 500) {
-        return { valid: false, error: 'Amount exceeds limit' };
+    try {
+      await Keychain.setGenericPassword('tokpay', JSON.stringify(policy), {
+        service: POLICY_SERVICE
+      });
+    } catch (error) {
+      console.error('Failed to store policy:', error);
+    }
+    dispatch({ type: ACTIONS.SET_POLICY, payload: policy });
+  }
+
+  // Sign a server challenge to prove we hold the secret key.
+  // Must match buildChallengeMessage on the backend.
+  function signChallenge(purpose, challenge, keyPair = state.keyPair) {
+    if (!keyPair) return null;
+
+    const messageBytes = naclUtil.decodeUTF8(`tokpay:${purpose}:${challenge}`);
+    const secretKey = naclUtil.decodeBase64(keyPair.secretKey);
+    const signature = nacl.sign.detached(messageBytes, secretKey);
+
+    return naclUtil.encodeBase64(signature);
+  }
+
+  // Verify payment token from customer. The daily limit and replay checks read
+  // StorageService, so call this through acceptPayment to keep them current.
+  async function verifyPaymentToken(token) {
+    try {
+      const tokenError = validatePayment(token);
+      if (tokenError) {
+        return { valid: false, error: TOKEN_ERRORS[tokenError] };
+      }
+
+      if (!verifyPayment(token)) {
+        return { valid: false, error: TOKEN_ERRORS.invalid_signature };
+      }
+
+      const { revocations, policy } = stateRef.current;
+
+      // Reject keys reported lost or stolen
+      if (revocations.keys.includes(token.publicKey)) {
+        return { valid: false, error: 'Payer key revoked' };
+      }
+
+      // Check the payer actually loaded offline funds
+      const certificateError = verifyBalanceCertificate(token);
+      if (certificateError) {
+        return { valid: false, error: certificateError };
+      }
+
+      // Check the amount limit and that the token is fresh
+      const limitError = checkPaymentLimits(token, policy, Date.now());
+      if (limitError) {
+        return { valid: false, error: TOKEN_ERRORS[limitError] };
+      }
+
+      // Check the payer's daily limit against what we have taken from them today
+      const day = spendDay(token.timestamp, policy);
+      const spentHere = await StorageService.getSpentOnDay(token.from, day);
+      if (spentHere + token.amountPaise > policy.dailySpendLimitPaise) {
+        return { valid: false, error: 'Payer daily limit exceeded' };
       }
 
       // Check counter (prevent replay)
-      const lastCounter = state.lastCounter[token.from] || -1;
+      const lastCounter = await StorageService.getLastCounter(token.publicKey);
       if (token.counter <= lastCounter) {
         return { valid: false, error: 'Duplicate transaction' };
       }
 
-      // Check token expiry (60 seconds)
-      const tokenAge = Date.now() - token.timestamp;
-      if (tokenAge > 60000) {
-        return { valid: false, error: 'Token expired' };
-      }
-
       return { valid: true };
     } catch (error) {
       return { valid: false, error: 'Verification failed' };
     }
   }
 
+  // Verify a token and, if it is good, store it and advance the payer's
+  // counter. Runs exclusively so two payments can't pass the same checks.
+  // A wallet that lost our reply resends the identical token; that is
+  // acknowledged again (even once expired) without taking it twice.
+  function acceptPayment(token) {
+    return StorageService.runExclusive(async () => {
+      const existing = await StorageService.getPayment(token.txnId);
+      if (existing) {
+        return existing.signature === token.signature
+          ? { valid: true, transaction: existing, duplicate: true }
+          : { valid: false, error: 'Duplicate transaction' };
+      }
+
+      const verification = await verifyPaymentToken(token);
+      if (!verification.valid) {
+        return verification;
+      }
+
+      const transaction = {
+        ...token,
+        status: 'received',
+        receivedAt: Date.now(),
+      };
+      await StorageService.savePayment(transaction, spendDay(token.timestamp, stateRef.current.policy));
+
+      dispatch({ type: ACTIONS.ADD_TRANSACTION, payload: transaction });
+      dispatch({ type: ACTIONS.ADD_PENDING_SYNC, payload: transaction });
+      return { valid: true, transaction };
+    });
+  }
+
+  // Mark payments the server has ruled on as synced, with its verdict
+  // ({ txnId, status } results from POST /api/sync)
+  async function markSynced(results) {
+    await StorageService.markSynced(results);
+    dispatch({ type: ACTIONS.MARK_SYNCED, payload: results });
+  }
+
   // Actions
   const actions = {
-    setMerchant: (merchant) => dispatch({ type: ACTIONS.SET_MERCHANT, payload: merchant }),
+    setMerchant,
+    restoreMerchant,
     setBalance: (balance) => dispatch({ type: ACTIONS.SET_BALANCE, payload: balance }),
-    addTransaction: (txn) => dispatch({ type: ACTIONS.ADD_TRANSACTION, payload: txn }),
-    addPendingSync: (txn) => dispatch({ type: ACTIONS.ADD_PENDING_SYNC, payload: txn }),
-    clearPendingSync: () => dispatch({ type: ACTIONS.CLEAR_PENDING_SYNC }),
+    markSynced,
     setBleActive: (active) => dispatch({ type: ACTIONS.SET_BLE_ACTIVE, payload: active }),
-    updateCounter: (userPhone, counter) => 
-      dispatch({ type: ACTIONS.UPDATE_COUNTER, payload: { userPhone, counter } }),
     logout: () => dispatch({ type: ACTIONS.LOGOUT }),
-    verifyPaymentToken,
+    refreshRevocations,
+    refreshPolicy,
+    acceptPayment,
+    signChallenge,
+    ensureDeviceEnrolled,
+    restoreKeyPair: saveKeyPair,
   };
 
   return (
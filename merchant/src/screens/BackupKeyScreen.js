@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { StyleSheet, Alert, ScrollView, Share } from 'react-native';
+import { Text, TextInput, Button, Card, HelperText } from 'react-native-paper';
+import { useApp } from '../context/AppContext';
+import KeyBackupService from '../services/KeyBackupService';
+
+export default function BackupKeyScreen() {
+  const { state } = useApp();
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [recoveryBlob, setRecoveryBlob] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleBackup = async () => {
+    const passphraseError = KeyBackupService.validatePassphrase(passphrase);
+    if (passphraseError) {
+      setError(passphraseError);
+      return;
+    }
+
+    if (passphrase !== confirmPassphrase) {
+      setError('Passphrases do not match');
+      return;
+    }
+
+    if (!state.keyPair) {
+      Alert.alert('Error', 'Signing key not loaded yet');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setRecoveryBlob(await KeyBackupService.exportKey(state.keyPair, passphrase));
+      setPassphrase('');
+      setConfirmPassphrase('');
+    } catch (err) {
+      Alert.alert('Error', 'Failed to create backup');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleShare = async () => {
+    try {
+      await Share.share({ message: recoveryBlob });
+    } catch (err) {
+      Alert.alert('Error', 'Could not open share sheet');
+    }
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <Text style={styles.intro}>
+        Your signing key only lives on this phone. Back it up with a passphrase so you can
+        restore it after reinstalling the app or moving to a new phone.
+      </Text>
+
+      {!recoveryBlob ? (
+        <Card style={styles.card}>
+          <Card.Content>
+            <TextInput
+              label="Passphrase"
+              value={passphrase}
+              onChangeText={(text) => {
+                setPassphrase(text);
+                setError('');
+              }}
+              secureTextEntry
+              mode="outlined"
+              style={styles.input}
+              disabled={loading}
+            />
+            <TextInput
+              label="Confirm Passphrase"
+              value={confirmPassphrase}
+              onChangeText={(text) => {
+                setConfirmPassphrase(text);
+                setError('');
+              }}
+              secureTextEntry
+              mode="outlined"
+              style={styles.input}
+              disabled={loading}
+            />
+            <HelperText type="error" visible={!!error}>
+              {error}
+            </HelperText>
+
+            <Button
+              mode="contained"
+              onPress={handleBackup}
+              loading={loading}
+              disabled={loading || !passphrase}
+              style={styles.button}
+            >
+              Create Backup
+            </Button>
+          </Card.Content>
+        </Card>
+      ) : (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text style={styles.label}>Recovery blob</Text>
+            <Text selectable style={styles.blob}>{recoveryBlob}</Text>
+            <Text style={styles.warning}>
+              Store this somewhere safe, away from this phone. Anyone with the blob and your
+              passphrase can sign as your business. We cannot recover a lost passphrase.
+            </Text>
+            <Button mode="contained" icon="share-variant" onPress={handleShare} style={styles.button}>
+              Save or Share
+            </Button>
+          </Card.Content>
+        </Card>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    padding: 20,
+    backgroundColor: '#fff',
+  },
+  intro: {
+    color: '#666',
+    fontSize: 14,
+    marginBottom: 20,
+  },
+  card: {
+    marginBottom: 16,
+  },
+  input: {
+    marginBottom: 8,
+  },
+  button: {
+    marginTop: 12,
+  },
+  label: {
+    color: '#666',
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  blob: {
+    fontFamily: 'monospace',
+    fontSize: 13,
+    padding: 12,
+    backgroundColor: '#f5f5f5',
+    borderRadius: 8,
+  },
+  warning: {
+    color: '#e65100',
+    fontSize: 13,
+    marginTop: 12,
+  },
+});
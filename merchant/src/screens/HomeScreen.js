@@ -1,16 +1,23 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { View, StyleSheet, AppState } from 'react-native';
-import { Text, Card, FAB, Badge, Switch } from 'react-native-paper';
+import { Text, Card, FAB, Badge, Switch, Button } from 'react-native-paper';
 import QRCode from 'react-native-qrcode-svg';
+import { SUPPORTED_TOKEN_VERSIONS, formatRupees } from '@tokpay/core';
 import { useApp } from '../context/AppContext';
 import BLEService from '../services/BLEService';
 
 export default function HomeScreen({ navigation }) {
-  const { state, addTransaction, addPendingSync, updateCounter, setBleActive } = useApp();
+  const {
+    state, acceptPayment, setBleActive, refreshRevocations, refreshPolicy,
+  } = useApp();
+  const qrExpiry = state.policy.qrExpirySeconds;
   const [qrData, setQrData] = useState('');
   const [qrTimestamp, setQrTimestamp] = useState(Date.now());
-  const [countdown, setCountdown] = useState(18);
+  const [countdown, setCountdown] = useState(qrExpiry);
   const intervalRef = useRef(null);
+  // The refresh timer outlives renders, so it reads the expiry through a ref
+  const qrExpiryRef = useRef(qrExpiry);
+  qrExpiryRef.current = qrExpiry;
 
   // Generate dynamic QR code
   const generateQR = () => {
@@ -19,13 +26,14 @@ export default function HomeScreen({ navigation }) {
       merchantName: state.merchant?.name || 'Demo Merchant',
       bleId: `TOKPAY-${state.merchant?.merchantId || 'M001'}`,
       timestamp: Date.now(),
+      tokenVersions: SUPPORTED_TOKEN_VERSIONS, // Token formats we can verify
     };
     setQrData(JSON.stringify(data));
     setQrTimestamp(Date.now());
-    setCountdown(18);
+    setCountdown(qrExpiryRef.current);
   };
 
-  // Start QR refresh timer (every 18 seconds)
+  // Start QR refresh timer (every policy.qrExpirySeconds)
   useEffect(() => {
     generateQR();
     
@@ -33,7 +41,7 @@ export default function HomeScreen({ navigation }) {
       setCountdown((prev) => {
         if (prev <= 1) {
           generateQR();
-          return 18;
+          return qrExpiryRef.current;
         }
         return prev - 1;
       });
@@ -46,6 +54,22 @@ export default function HomeScreen({ navigation }) {
     };
   }, []);
 
+  // Pick up newly revoked payer keys and policy changes on open and whenever
+  // the app returns to the foreground
+  useEffect(() => {
+    refreshRevocations();
+    refreshPolicy();
+
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active') {
+        refreshRevocations();
+        refreshPolicy();
+      }
+    });
+
+    return () => subscription.remove();
+  }, []);
+
   // Start BLE server to receive payments
   useEffect(() => {
     startBLEServer();
@@ -70,27 +94,19 @@ export default function HomeScreen({ navigation }) {
 
   // Handle incoming payment from customer
   const handlePaymentReceived = async (paymentToken) => {
-    const verification = state.verifyPaymentToken?.(paymentToken);
-    
-    if (!verification) {
-      return { success: false, error: 'Verification not available' };
+    let verification;
+    try {
+      // Verified and stored in one step; only acknowledged once it is on disk
+      verification = await acceptPayment(paymentToken);
+    } catch (error) {
+      console.error('Failed to store payment:', error);
+      return { success: false, error: 'Could not save payment' };
     }
 
     if (!verification.valid) {
       return { success: false, error: verification.error };
     }
 
-    // Accept payment
-    const transaction = {
-      ...paymentToken,
-      status: 'received',
-      receivedAt: Date.now(),
-    };
-
-    addTransaction(transaction);
-    addPendingSync(transaction);
-    updateCounter(paymentToken.from, paymentToken.counter);
-
     return { 
       success: true, 
       txnId: paymentToken.txnId,
@@ -100,11 +116,34 @@ export default function HomeScreen({ navigation }) {
 
   return (
     <View style={styles.container}>
+      {/* Unverified Phone Banner */}
+      {state.merchant?.isVerified === false && (
+        <Card style={styles.warningCard}>
+          <Card.Content>
+            <Text style={styles.warningText}>
+              Verify your phone number to sync payments
+            </Text>
+            <Button mode="text" onPress={() => navigation.navigate('VerifyPhone')}>
+              Verify Now
+            </Button>
+          </Card.Content>
+        </Card>
+      )}
+
+      {/* Unverified Policy Banner */}
+      {state.policyError && (
+        <Card style={styles.warningCard}>
+          <Card.Content>
+            <Text style={styles.warningText}>{state.policyError}</Text>
+          </Card.Content>
+        </Card>
+      )}
+
       {/* Balance Card */}
       <Card style={styles.balanceCard}>
         <Card.Content>
           <Text style={styles.balanceTitle}>Today's Collection</Text>
-          <Text style={styles.balanceAmount}>₹{state.balance.toFixed(2)}</Text>
+          <Text style={styles.balanceAmount}>{formatRupees(state.balance)}</Text>
           <View style={styles.statusRow}>
             <View style={[styles.statusDot, state.bleActive ? styles.active : styles.inactive]} />
             <Text style={styles.statusText}>
@@ -139,7 +178,7 @@ export default function HomeScreen({ navigation }) {
               <View 
                 style={[
                   styles.timerProgress, 
-                  { width: `${(countdown / 18) * 100}%` }
+                  { width: `${(countdown / qrExpiry) * 100}%` }
                 ]} 
               />
             </View>
@@ -168,13 +207,29 @@ export default function HomeScreen({ navigation }) {
                     {new Date(txn.receivedAt || txn.timestamp).toLocaleTimeString()}
                   </Text>
                 </View>
-                <Text style={styles.txnAmount}>+₹{txn.amount}</Text>
+                <Text style={styles.txnAmount}>+{formatRupees(txn.amountPaise)}</Text>
               </View>
             ))
           )}
         </Card.Content>
       </Card>
 
+      {/* Key Backup FAB */}
+      <FAB
+        icon="key"
+        small
+        style={styles.backupFab}
+        onPress={() => navigation.navigate('BackupKey')}
+      />
+
+      {/* Devices & Sessions FAB */}
+      <FAB
+        icon="cellphone-link"
+        small
+        style={styles.sessionsFab}
+        onPress={() => navigation.navigate('Sessions')}
+      />
+
       {/* History FAB */}
       <FAB
         icon="history"
@@ -195,6 +250,13 @@ const styles = StyleSheet.create({
     marginBottom: 16,
     backgroundColor: '#4caf50',
   },
+  warningCard: {
+    marginBottom: 16,
+    backgroundColor: '#fff3e0',
+  },
+  warningText: {
+    color: '#e65100',
+  },
   balanceTitle: {
     color: '#fff',
     fontSize: 14,
@@ -305,4 +367,16 @@ const styles = StyleSheet.create({
     right: 0,
     bottom: 0,
   },
+  backupFab: {
+    position: 'absolute',
+    margin: 16,
+    left: 0,
+    bottom: 0,
+  },
+  sessionsFab: {
+    position: 'absolute',
+    margin: 16,
+    left: 0,
+    bottom: 56,
+  },
 });
@@ -2,10 +2,10 @@ import React, { useState } from 'react';
 import { View, StyleSheet, Alert, KeyboardAvoidingView, Platform, ScrollView } from 'react-native';
 import { Text, TextInput, Button, Card, HelperText } from 'react-native-paper';
 import { useApp } from '../context/AppContext';
-import AuthService from '../services/AuthService';
+import ApiClient, { ApiError } from '../services/ApiClient';
 
 export default function LoginScreen({ navigation }) {
-  const { setMerchant } = useApp();
+  const { setMerchant, ensureDeviceEnrolled } = useApp();
   const [phone, setPhone] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
@@ -34,22 +34,22 @@ export default function LoginScreen({ navigation }) {
 
     try {
       setLoading(true);
-      const response = await AuthService.merchantLogin(phone, password);
-
-      if (response.success) {
-        await AuthService.storeTokens(response.accessToken, response.refreshToken);
-        
-        setMerchant(response.merchant);
-        
-        navigation.reset({
-          index: 0,
-          routes: [{ name: 'Home' }],
-        });
+      const response = await ApiClient.merchantLogin(phone, password);
+      await ensureDeviceEnrolled();
+
+      setMerchant(response.merchant);
+
+      // Accounts that never confirmed their number do that first
+      navigation.reset({
+        index: 0,
+        routes: [{ name: response.merchant.isVerified ? 'Home' : 'VerifyPhone' }],
+      });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        Alert.alert('Login Failed', error.message);
       } else {
-        Alert.alert('Login Failed', response.error || 'Invalid credentials');
+        Alert.alert('Error', error.message);
       }
-    } catch (error) {
-      Alert.alert('Error', error.message || 'Network error. Please try again.');
     } finally {
       setLoading(false);
     }
@@ -121,6 +121,23 @@ export default function LoginScreen({ navigation }) {
             >
               Login
             </Button>
+
+            <Button
+              mode="text"
+              onPress={() => navigation.navigate('ForgotPassword')}
+              style={styles.forgotButton}
+              disabled={loading}
+            >
+              Forgot Password?
+            </Button>
+
+            <Button
+              mode="text"
+              onPress={() => navigation.navigate('RestoreKey')}
+              disabled={loading}
+            >
+              Restore Signing Key
+            </Button>
           </Card.Content>
         </Card>
 
@@ -184,6 +201,9 @@ const styles = StyleSheet.create({
   buttonContent: {
     paddingVertical: 8,
   },
+  forgotButton: {
+    marginTop: 8,
+  },
   footer: {
     marginTop: 30,
     alignItems: 'center',
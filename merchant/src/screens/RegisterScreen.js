@@ -2,10 +2,10 @@ import React, { useState } from 'react';
 import { View, StyleSheet, Alert, KeyboardAvoidingView, Platform, ScrollView } from 'react-native';
 import { Text, TextInput, Button, Card, HelperText, Checkbox } from 'react-native-paper';
 import { useApp } from '../context/AppContext';
-import AuthService from '../services/AuthService';
+import ApiClient, { ApiError } from '../services/ApiClient';
 
 export default function RegisterScreen({ navigation }) {
-  const { setMerchant, state } = useApp();
+  const { setMerchant, signChallenge, state } = useApp();
   const [merchantId, setMerchantId] = useState('');
   const [businessName, setBusinessName] = useState('');
   const [phone, setPhone] = useState('');
@@ -64,42 +64,44 @@ export default function RegisterScreen({ navigation }) {
   const handleRegister = async () => {
     if (!validateInputs()) return;
 
+    // Keypair is generated on startup; the account is bound to it
+    if (!state.keyPair) return;
+
     try {
       setLoading(true);
 
-      const publicKey = state.keyPair?.publicKey || 'temp-merchant-key';
+      const publicKey = state.keyPair.publicKey;
+
+      // Prove to the server that we hold the matching secret key
+      const { challenge } = await ApiClient.getChallenge('merchant_register');
+      const signature = signChallenge('merchant_register', challenge);
 
-      const response = await AuthService.merchantRegister(
+      // Logs the new merchant in
+      const response = await ApiClient.merchantRegister(
         merchantId,
         phone,
         password,
         businessName,
-        publicKey
+        publicKey,
+        { challenge, signature }
       );
 
-      if (response.success) {
-        await AuthService.storeTokens(response.accessToken, response.refreshToken);
-        
-        setMerchant(response.merchant);
-        
-        Alert.alert(
-          'Registration Successful',
-          `Welcome to TokPay! Your Merchant ID is ${merchantId}`,
-          [
-            {
-              text: 'Start Accepting Payments',
-              onPress: () => navigation.reset({
-                index: 0,
-                routes: [{ name: 'Home' }],
-              })
-            }
-          ]
-        );
+      setMerchant(response.merchant);
+
+      // The server has texted a code; confirm the number before going on
+      navigation.navigate('VerifyPhone', {
+        phone,
+        codeSent: true,
+        successTitle: 'Registration Successful',
+        successMessage: `Welcome to TokPay! Your Merchant ID is ${merchantId}`,
+        continueLabel: 'Start Accepting Payments',
+      });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        Alert.alert('Registration Failed', error.message);
       } else {
-        Alert.alert('Registration Failed', response.error || 'Please try again');
+        Alert.alert('Error', error.message);
       }
-    } catch (error) {
-      Alert.alert('Error', error.message || 'Network error');
     } finally {
       setLoading(false);
     }
@@ -232,12 +234,12 @@ export default function RegisterScreen({ navigation }) {
             <Button
               mode="contained"
               onPress={handleRegister}
-              loading={loading}
-              disabled={loading}
+              loading={loading || !state.keyPair}
+              disabled={loading || !state.keyPair}
               style={styles.registerButton}
               contentStyle={styles.buttonContent}
             >
-              Register Business
+              {state.keyPair ? 'Register Business' : 'Preparing secure key...'}
             </Button>
           </Card.Content>
         </Card>
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { StyleSheet, Alert, ScrollView } from 'react-native';
+import { Text, TextInput, Button, Card, HelperText } from 'react-native-paper';
+import { useApp } from '../context/AppContext';
+import KeyBackupService from '../services/KeyBackupService';
+
+export default function RestoreKeyScreen({ navigation }) {
+  const { state, restoreKeyPair, ensureDeviceEnrolled } = useApp();
+  const [recoveryBlob, setRecoveryBlob] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleRestore = async () => {
+    try {
+      setLoading(true);
+      const keyPair = await KeyBackupService.importKey(recoveryBlob, passphrase);
+      await restoreKeyPair(keyPair);
+
+      // Logged in already: re-link the restored key with the account now.
+      // Otherwise the next login does it.
+      if (state.isLoggedIn) {
+        await ensureDeviceEnrolled(keyPair);
+      }
+
+      Alert.alert('Key Restored', 'Your signing key has been restored on this phone.', [
+        { text: 'OK', onPress: () => navigation.goBack() },
+      ]);
+    } catch (err) {
+      setError(err.message || 'Failed to restore key');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <Text style={styles.intro}>
+        Paste the recovery blob you saved when backing up your signing key, and enter its
+        passphrase. This replaces the key currently on this phone.
+      </Text>
+
+      <Card style={styles.card}>
+        <Card.Content>
+          <TextInput
+            label="Recovery Blob"
+            value={recoveryBlob}
+            onChangeText={(text) => {
+              setRecoveryBlob(text);
+              setError('');
+            }}
+            mode="outlined"
+            multiline
+            autoCapitalize="none"
+            autoCorrect={false}
+            style={styles.input}
+            disabled={loading}
+          />
+          <TextInput
+            label="Passphrase"
+            value={passphrase}
+            onChangeText={(text) => {
+              setPassphrase(text);
+              setError('');
+            }}
+            secureTextEntry
+            mode="outlined"
+            style={styles.input}
+            disabled={loading}
+          />
+          <HelperText type="error" visible={!!error}>
+            {error}
+          </HelperText>
+
+          <Button
+            mode="contained"
+            onPress={handleRestore}
+            loading={loading}
+            disabled={loading || !recoveryBlob || !passphrase}
+            style={styles.button}
+          >
+            Restore Key
+          </Button>
+        </Card.Content>
+      </Card>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    padding: 20,
+    backgroundColor: '#fff',
+  },
+  intro: {
+    color: '#666',
+    fontSize: 14,
+    marginBottom: 20,
+  },
+  card: {
+    marginBottom: 16,
+  },
+  input: {
+    marginBottom: 8,
+  },
+  button: {
+    marginTop: 12,
+  },
+});
@@ -1,26 +1,69 @@
 import React from 'react';
-import { View, StyleSheet, FlatList } from 'react-native';
+import { View, StyleSheet, FlatList, Alert } from 'react-native';
 import { Text, Card, Chip, Button } from 'react-native-paper';
 import { useApp } from '../context/AppContext';
-import ApiService from '../services/ApiService';
+import ApiClient, { PHONE_UNVERIFIED } from '../services/ApiClient';
+import { formatRupees } from '@tokpay/core';
 
-export default function TransactionsScreen() {
-  const { state, clearPendingSync } = useApp();
+// Sync statuses meaning the merchant was paid
+const PAID = ['success', 'duplicate'];
+// The server's quarantine holds these for review; the merchant may still be paid
+const IN_REVIEW = ['quarantined', 'counter_reused', 'insufficient_offline_balance'];
+// The server failed settling this one payment; it is sent again next sync.
+// Every other status is the server's final verdict.
+const SERVER_FAULT = 'error';
+
+const SYNC_LABELS = {
+  pending: 'Pending',
+  synced: 'Synced',
+  review: 'Under Review',
+  rejected: 'Rejected',
+};
+
+function verdict(status) {
+  if (PAID.includes(status)) return 'synced';
+  if (IN_REVIEW.includes(status)) return 'review';
+  return 'rejected';
+}
+
+const syncState = (item) => (item.status === 'synced' ? verdict(item.syncStatus) : 'pending');
+
+export default function TransactionsScreen({ navigation }) {
+  const { state, markSynced } = useApp();
 
   const handleSync = async () => {
     if (state.pendingSync.length === 0) return;
 
     try {
-      const response = await ApiService.syncTransactions(state.pendingSync);
-      
-      if (response.success) {
-        clearPendingSync();
-        alert(`Synced ${response.processed} transactions`);
+      const response = await ApiClient.syncTransactions(state.pendingSync);
+
+      // Resending a payment the server has ruled on gets the same verdict, so
+      // only server faults stay pending. A failed request (offline) throws
+      // and keeps everything pending.
+      const decided = response.results.filter((result) => result.txnId && result.status !== SERVER_FAULT);
+      await markSynced(decided);
+
+      const paid = decided.filter((result) => PAID.includes(result.status));
+      const unpaid = decided.filter((result) => !PAID.includes(result.status));
+      const retrying = response.results.length - decided.length;
+      if (unpaid.length === 0 && retrying === 0) {
+        alert(`Synced ${paid.length} transactions`);
       } else {
-        alert('Sync failed. Try again later.');
+        const lines = unpaid.map((result) => `${result.txnId}: ${SYNC_LABELS[verdict(result.status)]} (${result.status})`);
+        if (retrying > 0) {
+          lines.push(`${retrying} could not be processed and will be sent again on the next sync`);
+        }
+        Alert.alert('Sync Finished', `Paid: ${paid.length} transactions\n\n${lines.join('\n')}`);
       }
     } catch (error) {
-      alert('Network error. Please check your connection.');
+      if (error.code === PHONE_UNVERIFIED) {
+        Alert.alert('Verify Your Phone', error.message, [
+          { text: 'Not Now', style: 'cancel' },
+          { text: 'Verify', onPress: () => navigation.navigate('VerifyPhone') },
+        ]);
+      } else {
+        alert(error.message);
+      }
     }
   };
 
@@ -36,15 +79,12 @@ export default function TransactionsScreen() {
             <Text style={styles.txnId}>ID: {item.txnId}</Text>
           </View>
           <View style={styles.txnRight}>
-            <Text style={styles.txnAmount}>+₹{item.amount}</Text>
+            <Text style={styles.txnAmount}>+{formatRupees(item.amountPaise)}</Text>
             <Chip 
               mode="outlined" 
-              style={[
-                styles.statusChip,
-                item.status === 'synced' ? styles.synced : styles.pending
-              ]}
+              style={[styles.statusChip, styles[syncState(item)]]}
             >
-              {item.status === 'synced' ? 'Synced' : 'Pending'}
+              {SYNC_LABELS[syncState(item)]}
             </Chip>
           </View>
         </View>
@@ -136,6 +176,12 @@ const styles = StyleSheet.create({
   pending: {
     borderColor: '#ff9800',
   },
+  review: {
+    borderColor: '#ff9800',
+  },
+  rejected: {
+    borderColor: '#f44336',
+  },
   empty: {
     textAlign: 'center',
     color: '#888',
@@ -1,5 +1,6 @@
 import { BleManager } from 'react-native-ble-plx';
 import { Buffer } from 'buffer';
+import { decodeToken, TokenError } from '@tokpay/core';
 
 // BLE Service and Characteristic UUIDs (must match wallet app)
 const TOKPAY_SERVICE_UUID = '12345678-1234-5678-1234-56789abcdef0';
@@ -42,9 +43,16 @@ class BLEService {
   // Handle incoming payment write (called by native peripheral code)
   async handlePaymentWrite(value) {
     try {
-      // Decode the payment token
-      const tokenString = Buffer.from(value, 'base64').toString('utf8');
-      const token = JSON.parse(tokenString);
+      // Decode the payment token: binary, or JSON from older wallets
+      let token;
+      try {
+        token = decodeToken(Buffer.from(value, 'base64'));
+      } catch (error) {
+        if (!(error instanceof TokenError)) throw error;
+        const result = { success: false, error: error.message };
+        this.responseValue = Buffer.from(JSON.stringify(result)).toString('base64');
+        return result;
+      }
 
       // Process payment through callback
       if (this.onPaymentReceived) {
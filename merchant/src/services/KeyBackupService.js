@@ -0,0 +1,23 @@
+import { validatePassphrase, encryptKeyBackup, decryptKeyBackup } from '@tokpay/core';
+
+// Passphrase-encrypted recovery blobs for the signing key, in the @tokpay/core
+// format. Merchant keys sign no payment counters, so the blob's counter is 0.
+class KeyBackupService {
+  // Returns an error message, or null if the passphrase is acceptable
+  validatePassphrase(passphrase) {
+    return validatePassphrase(passphrase);
+  }
+
+  // Encrypt the signing key into a recovery blob
+  exportKey(keyPair, passphrase) {
+    return encryptKeyBackup(keyPair, 0, passphrase);
+  }
+
+  // Decrypt a recovery blob back into a keypair
+  async importKey(blobText, passphrase) {
+    const { keyPair } = await decryptKeyBackup(blobText, passphrase);
+    return keyPair;
+  }
+}
+
+export default new KeyBackupService();
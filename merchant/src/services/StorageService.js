@@ -0,0 +1,154 @@
+import SQLite from 'react-native-sqlite-storage';
+
+SQLite.enablePromise(true);
+
+const DB_NAME = 'tokpay-merchant.db';
+
+// Received payments and the replay guard, kept across restarts: a payment
+// lost before it syncs is money the merchant can't claim, and a forgotten
+// counter would let the same token be paid twice.
+function payment(row) {
+  return { ...JSON.parse(row.data), status: row.status, syncStatus: row.sync_status };
+}
+
+class StorageService {
+  constructor() {
+    this.db = null;
+    this.opening = null;
+    this.queue = Promise.resolve();
+  }
+
+  // Open the database and create its tables on first use
+  async open() {
+    if (this.db) return this.db;
+
+    if (!this.opening) {
+      this.opening = (async () => {
+        const db = await SQLite.openDatabase({ name: DB_NAME, location: 'default' });
+        await db.executeSql(`
+          CREATE TABLE IF NOT EXISTS payments (
+            txn_id TEXT PRIMARY KEY,
+            merchant_id TEXT NOT NULL,
+            payer_phone TEXT NOT NULL,
+            amount_paise INTEGER NOT NULL,
+            spend_day TEXT NOT NULL,
+            data TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'received',
+            sync_status TEXT,
+            received_at INTEGER NOT NULL,
+            synced_at INTEGER
+          )
+        `);
+        await db.executeSql(
+          'CREATE INDEX IF NOT EXISTS idx_payments_payer_day ON payments (payer_phone, spend_day)'
+        );
+        // Highest counter accepted per payer key. Each payer device signs with
+        // its own key and keeps its own counter, as on the server.
+        await db.executeSql(`
+          CREATE TABLE IF NOT EXISTS payer_counters (
+            public_key TEXT PRIMARY KEY,
+            last_counter INTEGER NOT NULL
+          )
+        `);
+        this.db = db;
+        return db;
+      })();
+      // Let a failed open be retried
+      this.opening.catch(() => {
+        this.opening = null;
+      });
+    }
+    return this.opening;
+  }
+
+  async query(sql, params = []) {
+    const db = await this.open();
+    const [result] = await db.executeSql(sql, params);
+    const rows = [];
+    for (let i = 0; i < result.rows.length; i++) {
+      rows.push(result.rows.item(i));
+    }
+    return rows;
+  }
+
+  // Run `work` with no other exclusive work interleaved, so a check and the
+  // write it guards see the same state. Payments arrive concurrently over BLE.
+  runExclusive(work) {
+    const run = this.queue.then(work);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // Highest counter accepted from a payer key, or -1 if none yet
+  async getLastCounter(publicKey) {
+    const [row] = await this.query('SELECT last_counter FROM payer_counters WHERE public_key = ?', [publicKey]);
+    return row ? row.last_counter : -1;
+  }
+
+  // Paise taken from a payer on one spend day
+  async getSpentOnDay(phone, day) {
+    const [row] = await this.query(
+      'SELECT COALESCE(SUM(amount_paise), 0) AS total FROM payments WHERE payer_phone = ? AND spend_day = ?',
+      [phone, day]
+    );
+    return row.total;
+  }
+
+  // Store an accepted payment and advance its payer key's counter together
+  async savePayment(transaction, day) {
+    const db = await this.open();
+    await db.transaction((tx) => {
+      tx.executeSql(
+        `INSERT INTO payments (txn_id, merchant_id, payer_phone, amount_paise, spend_day, data, status, received_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          transaction.txnId,
+          transaction.to,
+          transaction.from,
+          transaction.amountPaise,
+          day,
+          JSON.stringify(transaction),
+          transaction.status,
+          transaction.receivedAt,
+        ]
+      );
+      // Only called once the counter was checked to be above the stored one
+      tx.executeSql('INSERT OR REPLACE INTO payer_counters (public_key, last_counter) VALUES (?, ?)', [
+        transaction.publicKey,
+        transaction.counter,
+      ]);
+    });
+  }
+
+  async getPayment(txnId) {
+    const [row] = await this.query('SELECT data, status, sync_status FROM payments WHERE txn_id = ?', [txnId]);
+    return row ? payment(row) : null;
+  }
+
+  // Payments received by a merchant, newest first
+  async getPayments(merchantId) {
+    const rows = await this.query(
+      'SELECT data, status, sync_status FROM payments WHERE merchant_id = ? ORDER BY received_at DESC',
+      [merchantId]
+    );
+    return rows.map(payment);
+  }
+
+  // Record the server's verdicts on synced payments ({ txnId, status } from
+  // POST /api/sync). A synced payment is not sent again.
+  async markSynced(results) {
+    if (results.length === 0) return;
+    const db = await this.open();
+    const syncedAt = Date.now();
+    await db.transaction((tx) => {
+      for (const { txnId, status } of results) {
+        tx.executeSql(
+          "UPDATE payments SET status = 'synced', sync_status = ?, synced_at = ? WHERE txn_id = ?",
+          [status, syncedAt, txnId]
+        );
+      }
+    });
+  }
+}
+
+export default new StorageService();
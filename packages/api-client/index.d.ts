@@ -0,0 +1,223 @@
+// Types for @tokpay/api-client. Amounts are integer paise; dates are ISO strings
+// unless noted (challenge expiresAt is epoch milliseconds).
+
+export const SESSION_EXPIRED: 'SESSION_EXPIRED';
+export const SESSION_REVOKED: 'SESSION_REVOKED';
+export const PHONE_UNVERIFIED: 'phone_unverified';
+
+// The backend answered with an error status
+export class ApiError extends Error {
+  name: 'ApiError';
+  status: number;
+  code: string | null;
+  body: { error?: string; code?: string; retryAfter?: number; [key: string]: unknown };
+}
+
+// The backend could not be reached, or did not answer in time
+export class NetworkError extends Error {
+  name: 'NetworkError';
+  code: 'network_error' | 'timeout';
+}
+
+export interface Tokens {
+  accessToken: string;
+  refreshToken: string;
+}
+
+export interface TokenStore {
+  load(): Promise<Tokens | null>;
+  save(tokens: Tokens): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export interface ApiClientConfig {
+  baseUrl: string;
+  accountType: 'user' | 'merchant';
+  deviceLabel?: string;
+  tokenStore: TokenStore;
+  timeoutMs?: number;
+  retries?: number;
+  retryDelayMs?: number;
+}
+
+export interface Success {
+  success: true;
+  message?: string;
+}
+
+export interface Proof {
+  challenge: string;
+  signature: string;
+}
+
+// Lets the app check the PIN offline without storing it
+export interface PinVerifier {
+  [key: string]: unknown;
+}
+
+export interface User {
+  phone: string;
+  name: string;
+  balancePaise: number;
+  offlineBalancePaise: number;
+  publicKey: string;
+  isVerified: boolean;
+  pinVerifier?: PinVerifier | null;
+}
+
+export interface Merchant {
+  merchantId: string;
+  phone: string;
+  name: string;
+  balancePaise: number;
+  publicKey: string;
+  isVerified: boolean;
+}
+
+export interface UserAuthResponse extends Success, Tokens {
+  user: User;
+}
+
+export interface MerchantAuthResponse extends Success, Tokens {
+  merchant: Merchant;
+}
+
+export interface Profile extends User {
+  createdAt: string;
+  limits: {
+    perPaymentPaise: number;
+    dailyPaise: number;
+    spentTodayPaise: number;
+    remainingTodayPaise: number;
+  };
+}
+
+export interface SignedPolicy {
+  policy: string;
+  signature: string;
+}
+
+export interface RevocationList {
+  since: number;
+  version: number;
+  keys: string[];
+  complete: boolean;
+  signature: string;
+}
+
+export interface LedgerEntry {
+  entryId: number;
+  type: string;
+  reference: string;
+  memo: string | null;
+  account: string;
+  amountPaise: number;
+  createdAt: string;
+}
+
+export interface BalanceCertificate {
+  [key: string]: unknown;
+  signature: string;
+}
+
+export interface LoadBalanceResponse extends Success {
+  balancePaise: number;
+  offlineBalancePaise: number;
+  certificate: BalanceCertificate;
+}
+
+export interface SyncResult {
+  txnId: string;
+  status: string;
+  [key: string]: unknown;
+}
+
+export interface SyncResponse extends Success {
+  processed: number;
+  failed: number;
+  results: SyncResult[];
+}
+
+export interface DeviceCounters {
+  deviceId: number;
+  publicKey: string;
+  lastCounter: number | null;
+  gaps: { from: number; to: number; detectedAt: string }[];
+}
+
+export interface Device {
+  id: number;
+  label: string;
+  publicKey: string;
+  status: string;
+  createdAt: string;
+  retiredAt: string | null;
+}
+
+export interface Session {
+  id: number;
+  deviceLabel: string;
+  createdAt: string;
+  lastUsedAt: string;
+  current: boolean;
+}
+
+export interface Page {
+  limit?: number;
+  offset?: number;
+}
+
+export default class ApiClient {
+  constructor(config: ApiClientConfig);
+
+  getAccessToken(): Promise<string>;
+  refreshAccessToken(): Promise<string>;
+  isLoggedIn(): Promise<boolean>;
+  logout(): Promise<void>;
+  getAccount(): Promise<User | Merchant | null>;
+  setAccount(account: User | Merchant): Promise<void>;
+
+  getServerKey(): Promise<{ algorithm: 'Ed25519'; publicKey: string }>;
+  getPolicy(): Promise<SignedPolicy>;
+  getRevocations(since?: number): Promise<RevocationList>;
+  getChallenge(purpose: string): Promise<{ challenge: string; expiresAt: number }>;
+
+  register(phone: string, password: string, name: string, publicKey: string, proof: Proof): Promise<UserAuthResponse>;
+  login(phone: string, password: string): Promise<UserAuthResponse>;
+  merchantRegister(
+    merchantId: string,
+    phone: string,
+    password: string,
+    name: string,
+    publicKey: string,
+    proof: Proof
+  ): Promise<MerchantAuthResponse>;
+  merchantLogin(phone: string, password: string): Promise<MerchantAuthResponse>;
+  changePassword(currentPassword: string, newPassword: string): Promise<Success>;
+  setPin(pin: string, password: string): Promise<Success & { pinVerifier: PinVerifier }>;
+  verifyPin(pin: string): Promise<{ valid: boolean; attemptsRemaining?: number }>;
+
+  requestPasswordReset(phone: string): Promise<Success>;
+  verifyPasswordReset(phone: string, code: string): Promise<Success & { resetToken: string }>;
+  confirmPasswordReset(resetToken: string, newPassword: string): Promise<Success>;
+
+  sendVerificationCode(): Promise<Success & { expiresIn: number }>;
+  verifyPhone(code: string): Promise<Success>;
+
+  getProfile(): Promise<Profile>;
+  getBalance(): Promise<{ balancePaise: number; offlineBalancePaise?: number }>;
+  getLedger(page?: Page): Promise<{ entries: LedgerEntry[] }>;
+  getTransactions(page?: Page): Promise<{ transactions: Record<string, unknown>[] }>;
+  loadBalance(amountPaise: number, publicKey?: string): Promise<LoadBalanceResponse>;
+  // Token objects, or encoded tokens as base64
+  syncTransactions(transactions: (object | string)[]): Promise<SyncResponse>;
+  getCounters(): Promise<{ devices: DeviceCounters[] }>;
+  revokeKey(password: string, reason?: string, publicKey?: string): Promise<Success & { version: number }>;
+
+  getDevices(): Promise<{ devices: Device[] }>;
+  enrollDevice(publicKey: string, label: string, proof: Proof): Promise<Success & { device: Device }>;
+  retireDevice(deviceId: number): Promise<Success>;
+  getSessions(): Promise<{ sessions: Session[] }>;
+  revokeSession(sessionId: number): Promise<Success>;
+  revokeOtherSessions(): Promise<Success & { revoked: number }>;
+}
@@ -0,0 +1,392 @@
+import { Buffer } from 'buffer';
+import { request } from './http.js';
+import { ApiError, SESSION_EXPIRED, SESSION_REVOKED, sessionError } from './errors.js';
+
+// Refresh the access token when it has less than this left
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// JWT segments are unpadded base64url, which atob doesn't take everywhere
+function decodeBase64Url(segment) {
+  const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  return Buffer.from(padded, 'base64').toString('utf8');
+}
+
+function expiresAt(accessToken) {
+  const payload = JSON.parse(decodeBase64Url(accessToken.split('.')[1]));
+  return payload.exp * 1000;
+}
+
+function query(params) {
+  const pairs = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+  return pairs.length > 0 ? `?${pairs.join('&')}` : '';
+}
+
+// Client for the TokPay backend, shared by the wallet and the merchant app.
+//
+// `tokenStore` ({ load, save, clear }) is where the app keeps the session's
+// tokens and the account they belong to; the client loads them on first use,
+// refreshes the access token before it expires and saves the rotated pair. Every method resolves with
+// the backend's response body or rejects with ApiError / NetworkError.
+export default class ApiClient {
+  constructor({
+    baseUrl,
+    accountType,
+    deviceLabel,
+    tokenStore,
+    timeoutMs = 15000,
+    retries = 2,
+    retryDelayMs = 500,
+  }) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.accountType = accountType;
+    this.deviceLabel = deviceLabel;
+    this.tokenStore = tokenStore;
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+    this.retryDelayMs = retryDelayMs;
+
+    this.accessToken = null;
+    this.refreshToken = null;
+    this.account = null;
+    this.refreshing = null;
+  }
+
+  // ==================== TOKENS ====================
+
+  async loadTokens() {
+    const tokens = await this.tokenStore.load();
+    this.accessToken = tokens ? tokens.accessToken : null;
+    this.refreshToken = tokens ? tokens.refreshToken : null;
+    this.account = tokens ? tokens.account || null : null;
+    return tokens;
+  }
+
+  async storeTokens(accessToken, refreshToken, account = this.account) {
+    this.accessToken = accessToken;
+    this.refreshToken = refreshToken;
+    this.account = account;
+    await this.tokenStore.save({ accessToken, refreshToken, account });
+  }
+
+  async clearTokens() {
+    this.accessToken = null;
+    this.refreshToken = null;
+    this.account = null;
+    await this.tokenStore.clear();
+  }
+
+  // The user or merchant the stored session belongs to, as login returned it
+  // (or setAccount last changed it), or null without a session. Read from
+  // the token store, so the app knows whose data to load at launch, offline.
+  async getAccount() {
+    if (!this.refreshToken) {
+      await this.loadTokens();
+    }
+    return this.account;
+  }
+
+  // Keep changes to the account (e.g. a verified phone) for the next launch
+  async setAccount(account) {
+    if (!this.refreshToken) {
+      await this.loadTokens();
+    }
+    if (this.refreshToken) {
+      await this.storeTokens(this.accessToken, this.refreshToken, account);
+    }
+  }
+
+  // Valid access token, refreshed first if it is about to expire
+  async getAccessToken() {
+    if (!this.accessToken) {
+      await this.loadTokens();
+    }
+    if (!this.accessToken) {
+      throw sessionError(SESSION_EXPIRED);
+    }
+
+    let expiring;
+    try {
+      expiring = Date.now() > expiresAt(this.accessToken) - REFRESH_MARGIN_MS;
+    } catch (error) {
+      expiring = true;
+    }
+    if (expiring) {
+      await this.refreshAccessToken();
+    }
+    return this.accessToken;
+  }
+
+  // Swap the refresh token for a new pair. Concurrent callers share one
+  // refresh: the server rotates refresh tokens and treats a second use of
+  // the old one as theft, revoking the session.
+  refreshAccessToken() {
+    if (!this.refreshing) {
+      this.refreshing = this.doRefresh().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async doRefresh() {
+    if (!this.refreshToken) {
+      await this.loadTokens();
+    }
+    if (!this.refreshToken) {
+      throw sessionError(SESSION_EXPIRED);
+    }
+
+    let tokens;
+    try {
+      tokens = await this.send('POST', '/auth/refresh', { refreshToken: this.refreshToken });
+    } catch (error) {
+      // Only the server turning the refresh token down ends the session.
+      // Offline, rate limited or a server fault: keep it and try again later.
+      if (!(error instanceof ApiError) || ![401, 403].includes(error.status)) {
+        throw error;
+      }
+      await this.clearTokens();
+      throw sessionError(error.code === SESSION_REVOKED ? SESSION_REVOKED : SESSION_EXPIRED);
+    }
+
+    await this.storeTokens(tokens.accessToken, tokens.refreshToken);
+    return tokens.accessToken;
+  }
+
+  // ==================== REQUESTS ====================
+
+  send(method, path, body, { headers = {}, idempotent = method === 'GET' } = {}) {
+    return request(`${this.baseUrl}${path}`, {
+      method,
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      timeoutMs: this.timeoutMs,
+      retries: this.retries,
+      retryDelayMs: this.retryDelayMs,
+      idempotent,
+    });
+  }
+
+  // Send with the session's access token, refreshing and retrying once if
+  // the server says it expired in the meantime
+  async authSend(method, path, body, options = {}) {
+    const accessToken = await this.getAccessToken();
+    try {
+      return await this.send(method, path, body, {
+        ...options,
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+    } catch (error) {
+      if (error.code === 'TOKEN_EXPIRED' && !options.refreshed) {
+        await this.refreshAccessToken();
+        return this.authSend(method, path, body, { ...options, refreshed: true });
+      }
+      if (error.code === SESSION_REVOKED) {
+        await this.clearTokens();
+        throw sessionError(SESSION_REVOKED);
+      }
+      throw error;
+    }
+  }
+
+  // ==================== PUBLIC ====================
+
+  // Server signing key, to check certificates, policies and revocation lists
+  getServerKey() {
+    return this.send('GET', '/server-key');
+  }
+
+  // Signed limits and timings policy
+  getPolicy() {
+    return this.send('GET', '/policy');
+  }
+
+  // Key revocations newer than the version we hold
+  getRevocations(since = 0) {
+    return this.send('GET', `/revocations${query({ since })}`);
+  }
+
+  // Challenge to sign with the key being registered or enrolled
+  getChallenge(purpose) {
+    return this.send('POST', '/challenge', { purpose });
+  }
+
+  // ==================== AUTH ====================
+
+  // User registration (proof is the signed challenge: { challenge, signature }).
+  // Logs the new account in.
+  async register(phone, password, name, publicKey, proof) {
+    const data = await this.send('POST', '/auth/register', {
+      phone, password, name, publicKey, deviceLabel: this.deviceLabel, ...proof,
+    });
+    await this.storeTokens(data.accessToken, data.refreshToken, data.user);
+    return data;
+  }
+
+  async login(phone, password) {
+    const data = await this.send('POST', '/auth/login', { phone, password, deviceLabel: this.deviceLabel });
+    await this.storeTokens(data.accessToken, data.refreshToken, data.user);
+    return data;
+  }
+
+  // Merchant registration (proof is the signed challenge: { challenge, signature })
+  async merchantRegister(merchantId, phone, password, name, publicKey, proof) {
+    const data = await this.send('POST', '/auth/merchant/register', {
+      merchantId, phone, password, name, publicKey, deviceLabel: this.deviceLabel, ...proof,
+    });
+    await this.storeTokens(data.accessToken, data.refreshToken, data.merchant);
+    return data;
+  }
+
+  async merchantLogin(phone, password) {
+    const data = await this.send('POST', '/auth/merchant/login', {
+      phone, password, deviceLabel: this.deviceLabel,
+    });
+    await this.storeTokens(data.accessToken, data.refreshToken, data.merchant);
+    return data;
+  }
+
+  // End this session on the server, if it can be reached, and forget it here
+  async logout() {
+    try {
+      await this.authSend('POST', '/auth/logout');
+    } catch (error) {
+      console.error('Logout API failed:', error);
+    } finally {
+      await this.clearTokens();
+    }
+  }
+
+  // Whether a session is stored. An expired access token is refreshed; being
+  // offline, or the server failing to refresh it, still counts as logged in.
+  // A revoked session rejects, so it can be explained to the user.
+  async isLoggedIn() {
+    const tokens = await this.loadTokens();
+    if (!tokens) return false;
+
+    try {
+      await this.getAccessToken();
+      return true;
+    } catch (error) {
+      if (error.code === SESSION_REVOKED) throw error;
+      return error.code !== SESSION_EXPIRED;
+    }
+  }
+
+  changePassword(currentPassword, newPassword) {
+    return this.authSend('POST', '/auth/change-password', { currentPassword, newPassword });
+  }
+
+  // Set payment PIN (the account password is required to set or change it)
+  setPin(pin, password) {
+    return this.authSend('POST', '/auth/set-pin', { pin, password });
+  }
+
+  // Resolves { valid, attemptsRemaining }; a locked PIN rejects with code 'pin_locked'
+  verifyPin(pin) {
+    return this.authSend('POST', '/auth/verify-pin', { pin });
+  }
+
+  // ==================== PASSWORD RESET ====================
+
+  // Text a reset code to the phone
+  requestPasswordReset(phone) {
+    return this.send('POST', '/password-reset/request', { phone, accountType: this.accountType });
+  }
+
+  // Exchange the code for a reset token
+  verifyPasswordReset(phone, code) {
+    return this.send('POST', '/password-reset/verify', { phone, code, accountType: this.accountType });
+  }
+
+  // Set the new password (logs out every session)
+  confirmPasswordReset(resetToken, newPassword) {
+    return this.send('POST', '/password-reset/confirm', { resetToken, newPassword });
+  }
+
+  // ==================== PHONE VERIFICATION ====================
+
+  // Text a verification code to the account's phone (also used to resend)
+  sendVerificationCode() {
+    return this.authSend('POST', '/verify-phone/send');
+  }
+
+  verifyPhone(code) {
+    return this.authSend('POST', '/verify-phone', { code });
+  }
+
+  // ==================== ACCOUNT ====================
+
+  // Profile, including balances and today's spending limits
+  getProfile() {
+    return this.authSend('GET', '/user/profile');
+  }
+
+  getBalance() {
+    return this.authSend('GET', '/balance');
+  }
+
+  // Ledger postings on the account's balances, newest first
+  getLedger({ limit, offset } = {}) {
+    return this.authSend('GET', `/ledger${query({ limit, offset })}`);
+  }
+
+  // Settled payments, newest first
+  getTransactions({ limit, offset } = {}) {
+    return this.authSend('GET', `/transactions${query({ limit, offset })}`);
+  }
+
+  // Move money to the offline balance and get a certificate for the device
+  // key it will be spent with
+  loadBalance(amountPaise, publicKey) {
+    return this.authSend('POST', '/load-balance', { amountPaise, publicKey });
+  }
+
+  // Settle offline payment tokens. Safe to retry: the server reports tokens
+  // it already settled as duplicates.
+  syncTransactions(transactions) {
+    return this.authSend('POST', '/sync', { transactions }, { idempotent: true });
+  }
+
+  // Highest counter the server has seen per device key, and any gaps
+  getCounters() {
+    return this.authSend('GET', '/user/counters');
+  }
+
+  // Revoke a signing key (all of them without publicKey), e.g. after the phone is lost
+  revokeKey(password, reason, publicKey) {
+    return this.authSend('POST', '/user/revoke-key', { password, reason, publicKey });
+  }
+
+  // ==================== DEVICES AND SESSIONS ====================
+
+  getDevices() {
+    return this.authSend('GET', '/devices');
+  }
+
+  // Enroll this install's key (proof is the signed 'enroll_device' challenge)
+  enrollDevice(publicKey, label, proof) {
+    return this.authSend('POST', '/devices', { publicKey, label, ...proof });
+  }
+
+  // Retire an enrolled key so it stops signing new payments
+  retireDevice(deviceId) {
+    return this.authSend('POST', `/devices/${deviceId}/retire`);
+  }
+
+  getSessions() {
+    return this.authSend('GET', '/sessions');
+  }
+
+  revokeSession(sessionId) {
+    return this.authSend('POST', `/sessions/${sessionId}/revoke`);
+  }
+
+  // Sign out every session except this one
+  revokeOtherSessions() {
+    return this.authSend('POST', '/sessions/revoke-others');
+  }
+}
@@ -0,0 +1,37 @@
+// Every failed call rejects with one of these
+
+// Codes for a session that can no longer be used. A revoked session was
+// signed out from another device, or its refresh token was replayed.
+export const SESSION_EXPIRED = 'SESSION_EXPIRED';
+export const SESSION_REVOKED = 'SESSION_REVOKED';
+
+// Loading balance and syncing need a verified phone number
+export const PHONE_UNVERIFIED = 'phone_unverified';
+
+// The backend answered with an error status. `message` and `code` are the
+// backend's `error` and `code`; `body` has the rest (retryAfter, ...).
+export class ApiError extends Error {
+  constructor(status, body = {}) {
+    super(body.error || `Request failed with status ${status}`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = body.code || null;
+    this.body = body;
+  }
+}
+
+// The backend could not be reached, or did not answer in time (code 'timeout')
+export class NetworkError extends Error {
+  constructor(message, code = 'network_error') {
+    super(message);
+    this.name = 'NetworkError';
+    this.code = code;
+  }
+}
+
+export function sessionError(code) {
+  const message = code === SESSION_REVOKED
+    ? 'You were signed out of this device. Please login again.'
+    : 'Session expired. Please login again.';
+  return new ApiError(401, { error: message, code });
+}
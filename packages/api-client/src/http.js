@@ -0,0 +1,48 @@
+import { ApiError, NetworkError } from './errors.js';
+
+// Gateway statuses that mean the request never reached a healthy server
+const RETRY_STATUSES = [502, 503, 504];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// One HTTP call with a timeout. Resolves with the parsed body of a 2xx
+// response, rejects with ApiError or NetworkError.
+async function send(url, { method, headers, body, timeoutMs }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let response;
+  let data = {};
+  try {
+    response = await fetch(url, { method, headers, body, signal: controller.signal });
+    data = await response.json().catch(() => ({}));
+  } catch (error) {
+    throw controller.signal.aborted
+      ? new NetworkError('Request timed out. Please try again.', 'timeout')
+      : new NetworkError('Network error. Please check your connection.');
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!response.ok) {
+    throw new ApiError(response.status, data);
+  }
+  return data;
+}
+
+// Send a request. Idempotent ones are retried with exponential backoff when
+// the network fails or a gateway reports the backend unavailable; anything
+// else could take effect twice, so it fails straight away.
+export async function request(url, { idempotent, retries, retryDelayMs, ...options }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send(url, options);
+    } catch (error) {
+      const retryable = error instanceof NetworkError || RETRY_STATUSES.includes(error.status);
+      if (!idempotent || !retryable || attempt >= retries) {
+        throw error;
+      }
+      await sleep(retryDelayMs * 2 ** attempt);
+    }
+  }
+}
@@ -0,0 +1,2 @@
+export { default } from './ApiClient.js';
+export { ApiError, NetworkError, SESSION_EXPIRED, SESSION_REVOKED, PHONE_UNVERIFIED } from './errors.js';
@@ -0,0 +1,204 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'buffer';
+import ApiClient, { ApiError, NetworkError, SESSION_EXPIRED, SESSION_REVOKED } from '../src/index.js';
+
+// Unsigned JWT: the client only reads `exp` from the payload
+function jwt(payload) {
+  const segment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${segment({ alg: 'HS256', typ: 'JWT' })}.${segment(payload)}.signature`;
+}
+
+const expiredToken = (name) => jwt({ sub: name, exp: Math.floor(Date.now() / 1000) - 60 });
+const freshToken = (name) => jwt({ sub: name, exp: Math.floor(Date.now() / 1000) + 900 });
+
+function memoryStore(tokens = null) {
+  return {
+    tokens,
+    async load() { return this.tokens; },
+    async save(next) { this.tokens = next; },
+    async clear() { this.tokens = null; },
+  };
+}
+
+// Route fetch calls to handlers keyed by "METHOD /path"; a handler returns
+// [status, body] or throws to simulate a failed connection
+function serve(t, routes) {
+  const calls = [];
+  t.mock.method(globalThis, 'fetch', async (url, options) => {
+    const path = url.replace('http://api', '');
+    const call = { method: options.method, path, headers: options.headers, body: options.body && JSON.parse(options.body) };
+    calls.push(call);
+    const handler = routes[`${options.method} ${path}`];
+    if (!handler) {
+      throw new Error(`unexpected ${options.method} ${path}`);
+    }
+    await new Promise((resolve) => setImmediate(resolve));
+    const [status, body] = handler(call);
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+  });
+  return calls;
+}
+
+function client(store) {
+  return new ApiClient({ baseUrl: 'http://api/', accountType: 'user', deviceLabel: 'test', tokenStore: store, retries: 0 });
+}
+
+const refreshed = () => [200, { accessToken: freshToken('new'), refreshToken: 'refresh-2' }];
+
+test('sends the stored access token', async (t) => {
+  const access = freshToken('a');
+  const calls = serve(t, { 'GET /balance': () => [200, { balancePaise: 100 }] });
+  const api = client(memoryStore({ accessToken: access, refreshToken: 'refresh-1' }));
+
+  assert.deepEqual(await api.getBalance(), { balancePaise: 100 });
+  assert.equal(calls[0].headers.Authorization, `Bearer ${access}`);
+});
+
+test('concurrent calls with an expired access token share one refresh', async (t) => {
+  const calls = serve(t, {
+    'POST /auth/refresh': refreshed,
+    'GET /balance': () => [200, {}],
+    'GET /devices': () => [200, {}],
+    'GET /sessions': () => [200, {}],
+  });
+  const store = memoryStore({ accessToken: expiredToken('old'), refreshToken: 'refresh-1' });
+  const api = client(store);
+
+  await Promise.all([api.getBalance(), api.getDevices(), api.getSessions()]);
+
+  const refreshes = calls.filter((call) => call.path === '/auth/refresh');
+  assert.equal(refreshes.length, 1);
+  assert.deepEqual(refreshes[0].body, { refreshToken: 'refresh-1' });
+  assert.equal(store.tokens.refreshToken, 'refresh-2');
+  for (const call of calls.filter((call) => call.path !== '/auth/refresh')) {
+    assert.equal(call.headers.Authorization, `Bearer ${store.tokens.accessToken}`);
+  }
+});
+
+test('a token the server says expired is refreshed and the call retried once', async (t) => {
+  let balanceCalls = 0;
+  const calls = serve(t, {
+    'POST /auth/refresh': refreshed,
+    'GET /balance': () => (++balanceCalls === 1
+      ? [401, { error: 'Token expired', code: 'TOKEN_EXPIRED' }]
+      : [200, { balancePaise: 5 }]),
+  });
+  const api = client(memoryStore({ accessToken: freshToken('a'), refreshToken: 'refresh-1' }));
+
+  assert.deepEqual(await api.getBalance(), { balancePaise: 5 });
+  assert.deepEqual(calls.map((call) => call.path), ['/balance', '/auth/refresh', '/balance']);
+});
+
+test('a refused refresh token ends the session', async (t) => {
+  for (const [status, code, expected] of [
+    [401, 'SESSION_EXPIRED', SESSION_EXPIRED],
+    [401, 'SESSION_REVOKED', SESSION_REVOKED],
+    [403, undefined, SESSION_EXPIRED],
+  ]) {
+    serve(t, { 'POST /auth/refresh': () => [status, { error: 'no', code }] });
+    const store = memoryStore({ accessToken: expiredToken('old'), refreshToken: 'refresh-1' });
+
+    await assert.rejects(client(store).getBalance(), (error) => {
+      assert.ok(error instanceof ApiError);
+      assert.equal(error.code, expected);
+      return true;
+    });
+    assert.equal(store.tokens, null);
+    t.mock.restoreAll();
+  }
+});
+
+test('a refresh that fails for any other reason keeps the session', async (t) => {
+  for (const [status, body] of [[429, { error: 'Too many requests' }], [500, { error: 'Server error' }], [503, {}]]) {
+    serve(t, { 'POST /auth/refresh': () => [status, body] });
+    const tokens = { accessToken: expiredToken('old'), refreshToken: 'refresh-1' };
+    const store = memoryStore(tokens);
+    const api = client(store);
+
+    await assert.rejects(api.getBalance(), (error) => error instanceof ApiError && error.status === status);
+    assert.equal(store.tokens, tokens);
+    assert.equal(await api.isLoggedIn(), true);
+    t.mock.restoreAll();
+  }
+});
+
+test('being offline keeps the session', async (t) => {
+  t.mock.method(globalThis, 'fetch', async () => {
+    throw new TypeError('Network request failed');
+  });
+  const tokens = { accessToken: expiredToken('old'), refreshToken: 'refresh-1' };
+  const store = memoryStore(tokens);
+  const api = client(store);
+
+  await assert.rejects(api.getBalance(), NetworkError);
+  assert.equal(store.tokens, tokens);
+  assert.equal(await api.isLoggedIn(), true);
+});
+
+test('a revoked session is forgotten when any call reports it', async (t) => {
+  serve(t, { 'GET /balance': () => [401, { error: 'Session revoked', code: 'SESSION_REVOKED' }] });
+  const store = memoryStore({ accessToken: freshToken('a'), refreshToken: 'refresh-1' });
+
+  await assert.rejects(client(store).getBalance(), { code: SESSION_REVOKED });
+  assert.equal(store.tokens, null);
+});
+
+test('without a stored session calls fail as expired and nothing is sent', async (t) => {
+  const calls = serve(t, {});
+  const api = client(memoryStore());
+
+  assert.equal(await api.isLoggedIn(), false);
+  await assert.rejects(api.getBalance(), { code: SESSION_EXPIRED });
+  assert.equal(calls.length, 0);
+});
+
+// The apps load a payer's history, sync queue and journal (or a merchant's
+// payments) for the account the stored session belongs to, at launch and
+// possibly offline
+test('the logged-in account is kept with the session across restarts', async (t) => {
+  const user = { phone: '9876543210', name: 'Asha', isVerified: false };
+  serve(t, {
+    'POST /auth/login': () => [200, { success: true, user, accessToken: freshToken('a'), refreshToken: 'refresh-1' }],
+  });
+  const store = memoryStore();
+  await client(store).login(user.phone, 'password');
+  t.mock.restoreAll();
+
+  t.mock.method(globalThis, 'fetch', async () => {
+    throw new TypeError('Network request failed');
+  });
+  const relaunched = client(store);
+  assert.equal(await relaunched.isLoggedIn(), true);
+  assert.deepEqual(await relaunched.getAccount(), user);
+
+  await relaunched.setAccount({ ...user, isVerified: true });
+  assert.deepEqual(await client(store).getAccount(), { ...user, isVerified: true });
+});
+
+test('the account survives token refreshes and goes with the session', async (t) => {
+  const merchant = { merchantId: 'SHOP1', phone: '9876543211', name: 'Shop' };
+  serve(t, {
+    'POST /auth/refresh': refreshed,
+    'GET /balance': () => [200, {}],
+    'POST /auth/logout': () => [200, { success: true }],
+  });
+  const store = memoryStore({ accessToken: expiredToken('old'), refreshToken: 'refresh-1', account: merchant });
+  const api = client(store);
+
+  await api.getBalance();
+  assert.equal(store.tokens.refreshToken, 'refresh-2');
+  assert.deepEqual(await client(store).getAccount(), merchant);
+
+  await api.logout();
+  assert.equal(await client(store).getAccount(), null);
+});
+
+test('an account is not kept without a session', async () => {
+  const store = memoryStore();
+  const api = client(store);
+
+  await api.setAccount({ phone: '9876543210' });
+  assert.equal(store.tokens, null);
+  assert.equal(await api.getAccount(), null);
+});
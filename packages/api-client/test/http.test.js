@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from '../src/http.js';
+import { ApiError, NetworkError } from '../src/index.js';
+
+const TIMEOUT_MS = 10000;
+
+// Answer fetch calls from a list, one entry per call: a [status, body] pair,
+// or an Error to throw as a failed connection
+function serve(t, replies) {
+  const calls = [];
+  t.mock.method(globalThis, 'fetch', async (url, options) => {
+    calls.push({ url, ...options });
+    const reply = replies[Math.min(calls.length, replies.length) - 1];
+    if (reply instanceof Error) {
+      throw reply;
+    }
+    const [status, body] = reply;
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+  });
+  return calls;
+}
+
+// Skip backoff waits, noting how long each would have been. The request
+// timeout timer is left pending (and cleared by the request).
+function recordDelays(t) {
+  const delays = [];
+  const realSetTimeout = globalThis.setTimeout;
+  t.mock.method(globalThis, 'setTimeout', (fn, ms) => {
+    if (ms === TIMEOUT_MS) {
+      return realSetTimeout(fn, ms);
+    }
+    delays.push(ms);
+    fn();
+    return 0;
+  });
+  return delays;
+}
+
+const options = (overrides = {}) => ({
+  method: 'GET',
+  headers: {},
+  timeoutMs: TIMEOUT_MS,
+  retries: 2,
+  retryDelayMs: 100,
+  idempotent: true,
+  ...overrides,
+});
+
+test('resolves with the body of a 2xx response', async (t) => {
+  const calls = serve(t, [[200, { success: true }]]);
+  assert.deepEqual(await request('http://api/x', options()), { success: true });
+  assert.equal(calls.length, 1);
+});
+
+test('idempotent requests retry gateway errors with exponential backoff', async (t) => {
+  const calls = serve(t, [[503, {}], [502, {}], [200, { ok: 1 }]]);
+  const delays = recordDelays(t);
+  assert.deepEqual(await request('http://api/x', options()), { ok: 1 });
+  assert.equal(calls.length, 3);
+  assert.deepEqual(delays, [100, 200]);
+});
+
+test('idempotent requests retry network failures, then give up', async (t) => {
+  const calls = serve(t, [new TypeError('Network request failed')]);
+  const delays = recordDelays(t);
+  await assert.rejects(request('http://api/x', options()), NetworkError);
+  assert.equal(calls.length, 3);
+  assert.deepEqual(delays, [100, 200]);
+});
+
+test('non-idempotent requests are not retried', async (t) => {
+  const calls = serve(t, [[503, {}], [200, {}]]);
+  recordDelays(t);
+  await assert.rejects(request('http://api/x', options({ method: 'POST', idempotent: false })), ApiError);
+  assert.equal(calls.length, 1);
+});
+
+test('errors the backend reports itself are not retried', async (t) => {
+  const calls = serve(t, [[500, { error: 'Server error' }], [200, {}]]);
+  recordDelays(t);
+  await assert.rejects(request('http://api/x', options()), ApiError);
+  assert.equal(calls.length, 1);
+});
+
+test('an error status becomes an ApiError with the backend message and code', async (t) => {
+  serve(t, [[429, { error: 'Too many attempts', code: 'rate_limited', retryAfter: 30 }]]);
+  await assert.rejects(request('http://api/x', options()), (error) => {
+    assert.ok(error instanceof ApiError);
+    assert.equal(error.status, 429);
+    assert.equal(error.message, 'Too many attempts');
+    assert.equal(error.code, 'rate_limited');
+    assert.equal(error.body.retryAfter, 30);
+    return true;
+  });
+});
+
+test('an error status without a body still gets a message', async (t) => {
+  serve(t, [[418, undefined]]);
+  await assert.rejects(request('http://api/x', options()), {
+    name: 'ApiError',
+    status: 418,
+    message: 'Request failed with status 418',
+    code: null,
+  });
+});
+
+test('a request that outlives its timeout fails with the timeout code', async (t) => {
+  t.mock.method(globalThis, 'fetch', (url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('aborted')));
+  }));
+  await assert.rejects(
+    request('http://api/x', options({ timeoutMs: 10, retries: 0 })),
+    (error) => error instanceof NetworkError && error.code === 'timeout'
+  );
+});
@@ -0,0 +1,100 @@
+const nacl = require('tweetnacl');
+const naclUtil = require('tweetnacl-util');
+const { scrypt } = require('scrypt-js');
+
+// Recovery blob: "tokpay2:" + base64(salt | nonce | secretbox(secretKey | nextCounter)),
+// nextCounter being 4 bytes big-endian. A key must not sign a counter it
+// already used, so a restored key continues from there.
+const BACKUP_PREFIX = 'tokpay2:';
+const SALT_LENGTH = 16;
+const COUNTER_LENGTH = 4;
+
+// scrypt cost. Changing these needs a new blob prefix.
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+
+const MIN_PASSPHRASE_LENGTH = 10;
+
+// Returns an error message, or null if the passphrase is acceptable
+function validatePassphrase(passphrase) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Stretch the passphrase into a secretbox key
+function deriveBackupKey(passphrase, salt) {
+  const passphraseBytes = naclUtil.decodeUTF8(passphrase);
+  return scrypt(passphraseBytes, salt, SCRYPT_N, SCRYPT_R, SCRYPT_P, nacl.secretbox.keyLength);
+}
+
+// Encrypt a base64 keypair's secret key and the next counter it would sign
+// with into a recovery blob
+async function encryptKeyBackup(keyPair, nextCounter, passphrase) {
+  const secretKey = naclUtil.decodeBase64(keyPair.secretKey);
+  const plain = new Uint8Array(secretKey.length + COUNTER_LENGTH);
+  plain.set(secretKey);
+  new DataView(plain.buffer).setUint32(secretKey.length, nextCounter);
+
+  const salt = nacl.randomBytes(SALT_LENGTH);
+  const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+  const key = await deriveBackupKey(passphrase, salt);
+  const box = nacl.secretbox(plain, nonce, key);
+
+  const blob = new Uint8Array(salt.length + nonce.length + box.length);
+  blob.set(salt);
+  blob.set(nonce, salt.length);
+  blob.set(box, salt.length + nonce.length);
+
+  return BACKUP_PREFIX + naclUtil.encodeBase64(blob);
+}
+
+// Decrypt a recovery blob back into { keyPair, nextCounter }, the keypair as
+// base64. Whitespace in the blob is ignored.
+async function decryptKeyBackup(blobText, passphrase) {
+  const text = (blobText || '').replace(/\s/g, '');
+  if (!text.startsWith(BACKUP_PREFIX)) {
+    throw new Error('This is not a TokPay recovery blob');
+  }
+
+  let bytes;
+  try {
+    bytes = naclUtil.decodeBase64(text.slice(BACKUP_PREFIX.length));
+  } catch (error) {
+    throw new Error('Recovery blob is corrupted');
+  }
+
+  const nonceEnd = SALT_LENGTH + nacl.secretbox.nonceLength;
+  if (bytes.length <= nonceEnd + nacl.secretbox.overheadLength) {
+    throw new Error('Recovery blob is corrupted');
+  }
+
+  const salt = bytes.subarray(0, SALT_LENGTH);
+  const nonce = bytes.subarray(SALT_LENGTH, nonceEnd);
+  const box = bytes.subarray(nonceEnd);
+
+  const key = await deriveBackupKey(passphrase, salt);
+  const plain = nacl.secretbox.open(box, nonce, key);
+
+  if (!plain || plain.length !== nacl.sign.secretKeyLength + COUNTER_LENGTH) {
+    throw new Error('Wrong passphrase or corrupted backup');
+  }
+
+  const keyPair = nacl.sign.keyPair.fromSecretKey(plain.subarray(0, nacl.sign.secretKeyLength));
+  return {
+    keyPair: {
+      publicKey: naclUtil.encodeBase64(keyPair.publicKey),
+      secretKey: naclUtil.encodeBase64(keyPair.secretKey),
+    },
+    nextCounter: new DataView(plain.buffer, plain.byteOffset).getUint32(nacl.sign.secretKeyLength),
+  };
+}
+
+module.exports = {
+  MIN_PASSPHRASE_LENGTH,
+  validatePassphrase,
+  encryptKeyBackup,
+  decryptKeyBackup,
+};
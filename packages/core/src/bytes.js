@@ -0,0 +1,102 @@
+// Big-endian fixed-width fields for the binary token encoding. Widths above
+// 32 bits are split in two, as JavaScript's bitwise operators stop at 32.
+
+const UINT32_MAX = 0xffffffff;
+const UINT40_MAX = 2 ** 40 - 1;
+const UINT48_MAX = 2 ** 48 - 1;
+
+const fitsUint = (value, max) => Number.isSafeInteger(value) && value >= 0 && value <= max;
+
+function toHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+// Appends fields to a growing buffer. Callers check values fit first.
+class ByteWriter {
+  constructor() {
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  bytes(bytes) {
+    this.chunks.push(Uint8Array.from(bytes));
+    this.length += bytes.length;
+    return this;
+  }
+
+  uint(value, width) {
+    const bytes = new Uint8Array(width);
+    let rest = value;
+    for (let i = width - 1; i >= 0; i--) {
+      bytes[i] = rest % 256;
+      rest = Math.floor(rest / 256);
+    }
+    return this.bytes(bytes);
+  }
+
+  uint8(value) {
+    return this.uint(value, 1);
+  }
+
+  finish() {
+    const out = new Uint8Array(this.length);
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      out.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return out;
+  }
+}
+
+// Reads fields in order; running past the end throws RangeError
+class ByteReader {
+  constructor(bytes) {
+    this.data = bytes;
+    this.offset = 0;
+  }
+
+  get remaining() {
+    return this.data.length - this.offset;
+  }
+
+  bytes(length) {
+    if (length > this.remaining) {
+      throw new RangeError('Unexpected end of token');
+    }
+    const out = this.data.slice(this.offset, this.offset + length);
+    this.offset += length;
+    return out;
+  }
+
+  uint(width) {
+    let value = 0;
+    for (const byte of this.bytes(width)) {
+      value = value * 256 + byte;
+    }
+    return value;
+  }
+
+  uint8() {
+    return this.uint(1);
+  }
+}
+
+module.exports = {
+  UINT32_MAX,
+  UINT40_MAX,
+  UINT48_MAX,
+  fitsUint,
+  toHex,
+  fromHex,
+  ByteWriter,
+  ByteReader,
+};
@@ -0,0 +1,104 @@
+const naclUtil = require('tweetnacl-util');
+const { sign, verify } = require('./keys');
+
+// Certificates before version 2 carried rupee amounts
+const CERTIFICATE_VERSION = 2;
+
+// Fields covered by the server's signature, in signing order
+const CERTIFICATE_FIELDS = [
+  'version',
+  'serial',
+  'phone',
+  'publicKey',
+  'amountPaise',
+  'counterStart',
+  'issuedAt',
+  'expiresAt',
+];
+
+// Canonical bytes of a balance certificate
+function serializeCertificate(cert) {
+  const fields = {};
+  for (const field of CERTIFICATE_FIELDS) {
+    fields[field] = cert[field];
+  }
+  return naclUtil.decodeUTF8(JSON.stringify(fields));
+}
+
+// Sign a certificate with the server's secret key
+function signCertificate(cert, secretKey) {
+  return { ...cert, signature: sign(serializeCertificate(cert), secretKey) };
+}
+
+// Check a certificate was signed by the server. Whether it covers a given
+// token (payer, expiry, counter, amount) is up to the caller.
+function verifyCertificate(cert, serverPublicKey) {
+  if (!cert || typeof cert.signature !== 'string') {
+    return false;
+  }
+  return verify(serializeCertificate(cert), cert.signature, serverPublicKey);
+}
+
+// The policy from GET /api/policy is signed as the exact JSON string sent,
+// so apps can verify fields they don't know about yet. The signed bytes are
+// domain separated so they can't pass for anything else.
+function serializePolicy(policyJson) {
+  return naclUtil.decodeUTF8(`tokpay:policy:${policyJson}`);
+}
+
+// Sign a policy (as JSON text) with the server's secret key
+function signPolicy(policyJson, secretKey) {
+  return { policy: policyJson, signature: sign(serializePolicy(policyJson), secretKey) };
+}
+
+// Check a policy was signed by the server and parse it. Returns null for
+// anything that doesn't verify.
+function verifyPolicy(signed, serverPublicKey) {
+  if (!signed || typeof signed.policy !== 'string' || typeof signed.signature !== 'string') {
+    return null;
+  }
+  if (!verify(serializePolicy(signed.policy), signed.signature, serverPublicKey)) {
+    return null;
+  }
+  try {
+    return JSON.parse(signed.policy);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Canonical bytes of a revocation list (or a delta of one). Key order matters.
+function serializeRevocationList(list) {
+  return naclUtil.decodeUTF8(JSON.stringify({
+    since: list.since,
+    version: list.version,
+    keys: list.keys,
+  }));
+}
+
+// Sign a revocation list with the server's secret key
+function signRevocationList(list, secretKey) {
+  return { ...list, signature: sign(serializeRevocationList(list), secretKey) };
+}
+
+// Check a revocation list was signed by the server
+function verifyRevocationList(list, serverPublicKey) {
+  if (!list || typeof list.signature !== 'string') {
+    return false;
+  }
+  return verify(serializeRevocationList(list), list.signature, serverPublicKey);
+}
+
+module.exports = {
+  CERTIFICATE_VERSION,
+  CERTIFICATE_FIELDS,
+  serializeCertificate,
+  signCertificate,
+  verifyCertificate,
+  serializePolicy,
+  signPolicy,
+  verifyPolicy,
+  serializeRevocationList,
+  signRevocationList,
+  verifyRevocationList,
+};
@@ -0,0 +1,136 @@
+const nacl = require('tweetnacl');
+const naclUtil = require('tweetnacl-util');
+const { keyId } = require('./keys');
+const { TokenError, tokenVersion, serializePayment, parseBinaryPayment } = require('./token');
+const { UINT32_MAX, UINT48_MAX, fitsUint, ByteWriter, ByteReader } = require('./bytes');
+
+// How a token travels from wallet to merchant.
+//
+// Version 2 tokens are sent as bytes: the signed body (see token.js), the
+// 64-byte signature and then, if the wallet attached one, its balance
+// certificate in fixed-width form, big-endian:
+//
+//   version       1
+//   serial        4
+//   phone         5
+//   publicKey    32
+//   amountPaise   4
+//   counterStart  4
+//   issuedAt      6  milliseconds
+//   expiresAt     6  milliseconds
+//   signature    64
+//
+// The certificate holds the payer key the token's keyId names, so the
+// merchant can verify the token offline. Version 1 tokens are still sent as
+// UTF-8 JSON while older apps are in use; JSON starts with '{', which no
+// binary token does.
+
+const JSON_START = 0x7b;
+const CERTIFICATE_LENGTH = 1 + 4 + 5 + nacl.sign.publicKeyLength + 4 + 4 + 6 + 6 + nacl.sign.signatureLength;
+
+function certificateFits(cert) {
+  try {
+    return fitsUint(cert.version, 255) && fitsUint(cert.serial, UINT32_MAX) &&
+      /^[1-9]\d{9}$/.test(cert.phone) &&
+      naclUtil.decodeBase64(cert.publicKey).length === nacl.sign.publicKeyLength &&
+      fitsUint(cert.amountPaise, UINT32_MAX) && fitsUint(cert.counterStart, UINT32_MAX) &&
+      fitsUint(cert.issuedAt, UINT48_MAX) && fitsUint(cert.expiresAt, UINT48_MAX) &&
+      naclUtil.decodeBase64(cert.signature).length === nacl.sign.signatureLength;
+  } catch (error) {
+    return false;
+  }
+}
+
+function writeCertificate(writer, cert) {
+  writer
+    .uint8(cert.version)
+    .uint(cert.serial, 4)
+    .uint(Number(cert.phone), 5)
+    .bytes(naclUtil.decodeBase64(cert.publicKey))
+    .uint(cert.amountPaise, 4)
+    .uint(cert.counterStart, 4)
+    .uint(cert.issuedAt, 6)
+    .uint(cert.expiresAt, 6)
+    .bytes(naclUtil.decodeBase64(cert.signature));
+}
+
+function readCertificate(reader) {
+  return {
+    version: reader.uint8(),
+    serial: reader.uint(4),
+    phone: String(reader.uint(5)),
+    publicKey: naclUtil.encodeBase64(reader.bytes(nacl.sign.publicKeyLength)),
+    amountPaise: reader.uint(4),
+    counterStart: reader.uint(4),
+    issuedAt: reader.uint(6),
+    expiresAt: reader.uint(6),
+    signature: naclUtil.encodeBase64(reader.bytes(nacl.sign.signatureLength)),
+  };
+}
+
+// Bytes to send for a signed token. Throws TokenError if the token (or its
+// certificate) can't be encoded.
+function encodeToken(token) {
+  if (tokenVersion(token) === 1) {
+    return naclUtil.decodeUTF8(JSON.stringify(token));
+  }
+
+  let signature;
+  try {
+    signature = naclUtil.decodeBase64(token.signature);
+  } catch (error) {
+    signature = null;
+  }
+  if (!signature || signature.length !== nacl.sign.signatureLength) {
+    throw new TokenError('invalid_token');
+  }
+
+  const writer = new ByteWriter().bytes(serializePayment(token)).bytes(signature);
+  if (token.certificate) {
+    if (!certificateFits(token.certificate)) {
+      throw new TokenError('invalid_token');
+    }
+    writeCertificate(writer, token.certificate);
+  }
+  return writer.finish();
+}
+
+// Token from received bytes, binary or JSON. A binary token gets its
+// certificate's publicKey when the certificate is for the key it names.
+// Throws TokenError if the bytes are not a token; the caller still has to
+// validate and verify what comes back.
+function decodeToken(bytes) {
+  if (bytes.length > 0 && bytes[0] === JSON_START) {
+    try {
+      return JSON.parse(naclUtil.encodeUTF8(bytes));
+    } catch (error) {
+      throw new TokenError('invalid_token');
+    }
+  }
+
+  try {
+    const reader = new ByteReader(bytes);
+    const token = parseBinaryPayment(reader);
+    token.signature = naclUtil.encodeBase64(reader.bytes(nacl.sign.signatureLength));
+
+    if (reader.remaining === CERTIFICATE_LENGTH) {
+      token.certificate = readCertificate(reader);
+      if (keyId(token.certificate.publicKey) === token.keyId) {
+        token.publicKey = token.certificate.publicKey;
+      }
+    } else if (reader.remaining !== 0) {
+      throw new TokenError('invalid_token');
+    }
+    return token;
+  } catch (error) {
+    if (error instanceof TokenError) {
+      throw error;
+    }
+    throw new TokenError('invalid_token');
+  }
+}
+
+module.exports = {
+  encodeToken,
+  decodeToken,
+};
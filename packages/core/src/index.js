@@ -0,0 +1,11 @@
+// Payment token format, key backup and money helpers shared by the backend,
+// the wallet and the merchant app. Anything that changes the signed bytes
+// needs a new token version and new test vectors in test/vectors.json.
+module.exports = {
+  keyId: require('./keys').keyId,
+  ...require('./token'),
+  ...require('./certificate'),
+  ...require('./encoding'),
+  ...require('./backup'),
+  ...require('./money'),
+};
@@ -0,0 +1,40 @@
+const nacl = require('tweetnacl');
+const naclUtil = require('tweetnacl-util');
+const { toHex } = require('./bytes');
+
+const KEY_ID_LENGTH = 8;
+
+// Keys are passed around as base64 in the apps and as bytes on the server
+function keyBytes(key) {
+  return typeof key === 'string' ? naclUtil.decodeBase64(key) : key;
+}
+
+// Sign with an Ed25519 secret key; the signature is returned as base64
+function sign(messageBytes, secretKey) {
+  return naclUtil.encodeBase64(nacl.sign.detached(messageBytes, keyBytes(secretKey)));
+}
+
+// Check a base64 Ed25519 signature. Malformed input is just not valid.
+function verify(messageBytes, signature, publicKey) {
+  try {
+    const signatureBytes = naclUtil.decodeBase64(signature);
+    const publicKeyBytes = keyBytes(publicKey);
+
+    if (signatureBytes.length !== nacl.sign.signatureLength ||
+        publicKeyBytes.length !== nacl.sign.publicKeyLength) {
+      return false;
+    }
+
+    return nacl.sign.detached.verify(messageBytes, signatureBytes, publicKeyBytes);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Short name for a public key, carried by binary tokens instead of the key
+// itself: the first 8 bytes of its SHA-512, as hex
+function keyId(publicKey) {
+  return toHex(nacl.hash(keyBytes(publicKey)).slice(0, KEY_ID_LENGTH));
+}
+
+module.exports = { KEY_ID_LENGTH, keyBytes, sign, verify, keyId };
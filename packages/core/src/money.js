@@ -0,0 +1,32 @@
+// Money is integer paise everywhere: in the database, in state, in signed
+// tokens and certificates, and on the wire. Rupees only appear in text
+// shown to or typed by people.
+
+// A positive whole number of paise that stays exact in a JS number
+function isPaise(value) {
+  return Number.isSafeInteger(value) && value > 0;
+}
+
+// Parse typed rupees ("120", "99.5", "0.75") into paise. Returns null for
+// anything that isn't a plain amount with at most two decimal places.
+function parseRupees(text) {
+  const match = /^(\d+)(?:\.(\d{1,2}))?$/.exec(String(text).trim());
+  if (!match) return null;
+
+  const paise = Number(match[1]) * 100 + Number((match[2] || '').padEnd(2, '0'));
+  return Number.isSafeInteger(paise) ? paise : null;
+}
+
+// 123450 -> "1234.50", for prefilling inputs
+function toRupeeString(paise) {
+  const abs = Math.abs(paise);
+  const sign = paise < 0 ? '-' : '';
+  return `${sign}${Math.floor(abs / 100)}.${String(abs % 100).padStart(2, '0')}`;
+}
+
+// 123450 -> "₹1234.50", -5000 -> "-₹50.00"
+function formatRupees(paise) {
+  return paise < 0 ? `-₹${toRupeeString(-paise)}` : `₹${toRupeeString(paise)}`;
+}
+
+module.exports = { isPaise, parseRupees, toRupeeString, formatRupees };
@@ -0,0 +1,238 @@
+const nacl = require('tweetnacl');
+const naclUtil = require('tweetnacl-util');
+const { KEY_ID_LENGTH, keyBytes, sign, verify, keyId } = require('./keys');
+const { UINT32_MAX, UINT48_MAX, toHex, fromHex, ByteWriter } = require('./bytes');
+const { isPaise } = require('./money');
+
+// Token versions this code can sign and verify, oldest first; TOKEN_VERSION
+// is the newest. Version 1 tokens are JSON and carry no `version` field, so
+// apps that predate versioning (which verify whatever fields they are sent)
+// keep accepting them. Version 2 tokens sign a compact binary body and name
+// the payer key by its keyId.
+const TOKEN_VERSION = 2;
+const SUPPORTED_TOKEN_VERSIONS = [1, 2];
+
+// Signature algorithms a version 2 token can name
+const ALGORITHMS = { ed25519: 1 };
+
+const TXN_ID_LENGTH = 8;
+
+// Fields covered by the payer's signature, in signing order
+const PAYMENT_FIELDS = ['from', 'to', 'amountPaise', 'counter', 'timestamp', 'txnId'];
+
+// Why a token was refused, by code. The server reports the code as the
+// sync status; the merchant app shows the message.
+const TOKEN_ERRORS = {
+  invalid_token: 'Invalid payment token',
+  legacy_amount: 'Payer app is out of date',
+  unsupported_version: 'Unsupported token version',
+  unsupported_algorithm: 'Unsupported signature algorithm',
+  invalid_amount: 'Invalid amount',
+  invalid_signature: 'Invalid signature',
+  amount_exceeded: 'Amount exceeds limit',
+  token_expired: 'Token expired',
+};
+
+class TokenError extends Error {
+  constructor(code) {
+    super(TOKEN_ERRORS[code]);
+    this.name = 'TokenError';
+    this.code = code;
+  }
+}
+
+function tokenVersion(token) {
+  return token.version === undefined ? 1 : token.version;
+}
+
+// Highest version both sides support, or null if there is none. `offered`
+// is what the other side advertised; one that advertises nothing predates
+// versioning and only speaks version 1.
+function negotiateTokenVersion(offered = [1], supported = SUPPORTED_TOKEN_VERSIONS) {
+  const common = supported.filter((version) => offered.includes(version));
+  return common.length > 0 ? Math.max(...common) : null;
+}
+
+const isText = (value) => typeof value === 'string' && value.length > 0;
+const isHex = (value, bytes) => typeof value === 'string' && new RegExp(`^[0-9a-f]{${bytes * 2}}$`).test(value);
+
+// Bytes of `text` as UTF-8, or Infinity if it has no UTF-8 form
+function utf8Length(text) {
+  try {
+    return naclUtil.decodeUTF8(text).length;
+  } catch (error) {
+    return Infinity;
+  }
+}
+
+// Random id for a new payment
+function createTxnId() {
+  return toHex(nacl.randomBytes(TXN_ID_LENGTH));
+}
+
+// Whether a version 2 payment's fields fit their binary widths: the payer
+// is a phone number, the txnId is hex and the merchant id is at most 255
+// bytes. Returns an error code or null.
+function validateBinaryFields(payment) {
+  if (payment.amountPaise > UINT32_MAX) {
+    return 'invalid_amount';
+  }
+  if (!isHex(payment.keyId, KEY_ID_LENGTH) || !isHex(payment.txnId, TXN_ID_LENGTH) ||
+      !/^[1-9]\d{9}$/.test(payment.from) || utf8Length(payment.to) > 255 ||
+      payment.counter > UINT32_MAX || payment.timestamp > UINT48_MAX) {
+    return 'invalid_token';
+  }
+  return null;
+}
+
+// Check a token has every signed field, well typed. Returns an error code or null.
+function validatePayment(payment) {
+  if (!payment || typeof payment !== 'object') {
+    return 'invalid_token';
+  }
+  // Wallets from before integer paise sign a rupee `amount`
+  if (payment.amount !== undefined) {
+    return 'legacy_amount';
+  }
+  if (!SUPPORTED_TOKEN_VERSIONS.includes(tokenVersion(payment))) {
+    return 'unsupported_version';
+  }
+  if (!isPaise(payment.amountPaise)) {
+    return 'invalid_amount';
+  }
+  if (!isText(payment.from) || !isText(payment.to) || !isText(payment.txnId) ||
+      !Number.isSafeInteger(payment.counter) || payment.counter < 0 ||
+      !Number.isSafeInteger(payment.timestamp) || payment.timestamp <= 0) {
+    return 'invalid_token';
+  }
+  if (tokenVersion(payment) === 2) {
+    return validateBinaryFields(payment);
+  }
+  return null;
+}
+
+// Policy limits on a single token. Pass `now` to also refuse an expired
+// token: merchants must, while the server settles tokens synced days later.
+function checkPaymentLimits(payment, policy, now) {
+  if (payment.amountPaise > policy.maxPaymentPaise) {
+    return 'amount_exceeded';
+  }
+  if (now !== undefined && now - payment.timestamp > policy.tokenMaxAgeSeconds * 1000) {
+    return 'token_expired';
+  }
+  return null;
+}
+
+// Version 2 body, big-endian, in the order it is signed and sent:
+//
+//   version       1  2
+//   algorithm     1  ALGORITHMS.ed25519
+//   keyId         8
+//   from          5  payer phone as a number
+//   amountPaise   4
+//   counter       4
+//   timestamp     6  milliseconds
+//   txnId         8
+//   to        1 + n  merchant id as UTF-8, after its length
+function serializeBinaryPayment(payment) {
+  const to = naclUtil.decodeUTF8(payment.to);
+  return new ByteWriter()
+    .uint8(2)
+    .uint8(ALGORITHMS.ed25519)
+    .bytes(fromHex(payment.keyId))
+    .uint(Number(payment.from), 5)
+    .uint(payment.amountPaise, 4)
+    .uint(payment.counter, 4)
+    .uint(payment.timestamp, 6)
+    .bytes(fromHex(payment.txnId))
+    .uint8(to.length)
+    .bytes(to)
+    .finish();
+}
+
+// Read a version 2 body back into a payment (without its signature)
+function parseBinaryPayment(reader) {
+  const version = reader.uint8();
+  if (version !== 2) {
+    throw new TokenError('unsupported_version');
+  }
+  if (reader.uint8() !== ALGORITHMS.ed25519) {
+    throw new TokenError('unsupported_algorithm');
+  }
+  const id = toHex(reader.bytes(KEY_ID_LENGTH));
+  const from = String(reader.uint(5));
+  const amountPaise = reader.uint(4);
+  const counter = reader.uint(4);
+  const timestamp = reader.uint(6);
+  const txnId = toHex(reader.bytes(TXN_ID_LENGTH));
+  const to = naclUtil.encodeUTF8(reader.bytes(reader.uint8()));
+  return { version, keyId: id, from, to, amountPaise, counter, timestamp, txnId };
+}
+
+// Canonical bytes of a payment. Version 1: the UTF-8 JSON of PAYMENT_FIELDS
+// in order. Version 2: the binary body above. Extra fields on `payment`
+// (signature, publicKey, certificate) are ignored.
+function serializePayment(payment) {
+  const error = validatePayment(payment);
+  if (error) {
+    throw new TokenError(error);
+  }
+  if (tokenVersion(payment) === 2) {
+    return serializeBinaryPayment(payment);
+  }
+
+  const fields = {};
+  for (const field of PAYMENT_FIELDS) {
+    fields[field] = payment[field];
+  }
+  return naclUtil.decodeUTF8(JSON.stringify(fields));
+}
+
+// Sign a payment with the payer's secret key, as version `payment.version`
+// (1 if unset). Returns the signed fields plus `signature`; the caller adds
+// its publicKey and certificate.
+function signPayment(payment, secretKey) {
+  const token = {};
+  if (tokenVersion(payment) === 2) {
+    token.version = 2;
+    token.keyId = keyId(keyBytes(secretKey).slice(nacl.sign.seedLength));
+  }
+  for (const field of PAYMENT_FIELDS) {
+    token[field] = payment[field];
+  }
+  token.signature = sign(serializePayment(token), secretKey);
+  return token;
+}
+
+// Check a token's signature, by default against the key it carries
+function verifyPayment(token, publicKey = token.publicKey) {
+  if (validatePayment(token) || typeof token.signature !== 'string') {
+    return false;
+  }
+  if (tokenVersion(token) === 2) {
+    try {
+      if (keyId(publicKey) !== token.keyId) return false;
+    } catch (error) {
+      return false;
+    }
+  }
+  return verify(serializePayment(token), token.signature, publicKey);
+}
+
+module.exports = {
+  TOKEN_VERSION,
+  SUPPORTED_TOKEN_VERSIONS,
+  ALGORITHMS,
+  PAYMENT_FIELDS,
+  TOKEN_ERRORS,
+  TokenError,
+  tokenVersion,
+  negotiateTokenVersion,
+  createTxnId,
+  validatePayment,
+  checkPaymentLimits,
+  serializePayment,
+  parseBinaryPayment,
+  signPayment,
+  verifyPayment,
+};
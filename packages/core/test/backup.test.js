@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const nacl = require('tweetnacl');
+const naclUtil = require('tweetnacl-util');
+const { validatePassphrase, encryptKeyBackup, decryptKeyBackup } = require('../src');
+
+const PASSPHRASE = 'correct horse battery';
+
+const pair = nacl.sign.keyPair();
+const keyPair = {
+  publicKey: naclUtil.encodeBase64(pair.publicKey),
+  secretKey: naclUtil.encodeBase64(pair.secretKey),
+};
+
+test('a recovery blob restores the keypair and next counter', async () => {
+  const blob = await encryptKeyBackup(keyPair, 70000, PASSPHRASE);
+  assert.ok(blob.startsWith('tokpay2:'));
+
+  // Blobs are often copied with line breaks
+  const wrapped = blob.replace(/(.{20})/g, '$1\n');
+  assert.deepEqual(await decryptKeyBackup(wrapped, PASSPHRASE), { keyPair, nextCounter: 70000 });
+});
+
+test('a wrong passphrase or damaged blob is refused', async () => {
+  const blob = await encryptKeyBackup(keyPair, 3, PASSPHRASE);
+
+  await assert.rejects(decryptKeyBackup(blob, 'wrong passphrase'), /Wrong passphrase/);
+  await assert.rejects(decryptKeyBackup(blob.slice(0, 40), PASSPHRASE), /corrupted/);
+  await assert.rejects(decryptKeyBackup(blob.replace('tokpay2:', 'tokpay1:'), PASSPHRASE), /not a TokPay recovery blob/);
+  await assert.rejects(decryptKeyBackup('', PASSPHRASE), /not a TokPay recovery blob/);
+});
+
+test('passphrases need at least 10 characters', () => {
+  assert.match(validatePassphrase('short'), /at least 10/);
+  assert.match(validatePassphrase(undefined), /at least 10/);
+  assert.equal(validatePassphrase(PASSPHRASE), null);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const nacl = require('tweetnacl');
+const {
+  serializeCertificate,
+  signCertificate,
+  verifyCertificate,
+  serializePolicy,
+  signPolicy,
+  verifyPolicy,
+  signRevocationList,
+  verifyRevocationList,
+} = require('../src');
+const vectors = require('./vectors.json');
+
+const server = nacl.sign.keyPair.fromSeed(Buffer.from(vectors.server.seed, 'hex'));
+
+for (const vector of vectors.certificates) {
+  test(`certificate vector: ${vector.name}`, () => {
+    const { certificate } = vector;
+    assert.equal(Buffer.from(serializeCertificate(certificate)).toString('utf8'), vector.message);
+
+    const signed = signCertificate(certificate, server.secretKey);
+    assert.equal(signed.signature, vector.signature);
+    assert.equal(verifyCertificate(signed, vectors.server.publicKey), true);
+
+    assert.equal(verifyCertificate({ ...signed, amountPaise: certificate.amountPaise + 1 }, vectors.server.publicKey), false);
+    assert.equal(verifyCertificate(signed, vectors.payer.publicKey), false);
+    assert.equal(verifyCertificate({ ...certificate }, vectors.server.publicKey), false);
+  });
+}
+
+test('a signed policy verifies and parses, and nothing else does', () => {
+  const policyJson = JSON.stringify({ version: 3, maxPaymentPaise: 50000 });
+  assert.equal(Buffer.from(serializePolicy(policyJson)).toString('utf8'), `tokpay:policy:${policyJson}`);
+
+  const signed = signPolicy(policyJson, server.secretKey);
+  assert.deepEqual(verifyPolicy(signed, vectors.server.publicKey), { version: 3, maxPaymentPaise: 50000 });
+
+  assert.equal(verifyPolicy({ ...signed, policy: policyJson.replace('3', '4') }, vectors.server.publicKey), null);
+  assert.equal(verifyPolicy(signed, vectors.payer.publicKey), null);
+  assert.equal(verifyPolicy({ policy: policyJson, signature: 'not base64!' }, vectors.server.publicKey), null);
+  assert.equal(verifyPolicy({ policy: JSON.parse(policyJson) }, vectors.server.publicKey), null);
+  assert.equal(verifyPolicy(undefined, vectors.server.publicKey), null);
+});
+
+test('a signed revocation list verifies, and tampering breaks it', () => {
+  const list = signRevocationList({ since: 2, version: 4, keys: ['a', 'b'] }, server.secretKey);
+  assert.equal(verifyRevocationList(list, vectors.server.publicKey), true);
+
+  assert.equal(verifyRevocationList({ ...list, keys: ['a'] }, vectors.server.publicKey), false);
+  assert.equal(verifyRevocationList({ ...list, since: 0 }, vectors.server.publicKey), false);
+  assert.equal(verifyRevocationList(list, vectors.payer.publicKey), false);
+  assert.equal(verifyRevocationList({ since: 2, version: 4, keys: [] }, vectors.server.publicKey), false);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeToken, decodeToken, verifyPayment, verifyCertificate, TokenError } = require('../src');
+const vectors = require('./vectors.json');
+
+const hex = (bytes) => Buffer.from(bytes).toString('hex');
+
+for (const vector of vectors.encodedTokens) {
+  test(`encoded token: ${vector.name}`, () => {
+    assert.equal(hex(encodeToken(vector.token)), vector.hex);
+
+    // The full key is not sent, so it doesn't change the bytes
+    assert.equal(hex(encodeToken({ ...vector.token, publicKey: vectors.payer.publicKey })), vector.hex);
+
+    const decoded = decodeToken(Buffer.from(vector.hex, 'hex'));
+    const { certificate, ...token } = vector.token;
+    if (certificate) {
+      assert.deepEqual(decoded, { ...vector.token, publicKey: certificate.publicKey });
+      assert.equal(verifyPayment(decoded), true);
+      assert.equal(verifyCertificate(decoded.certificate, vectors.server.publicKey), true);
+    } else {
+      assert.deepEqual(decoded, token);
+      assert.equal(verifyPayment(decoded, vectors.payer.publicKey), true);
+    }
+  });
+}
+
+test('version 1 tokens are sent and read as JSON', () => {
+  const [vector] = vectors.payments;
+  const token = { ...vector.payment, signature: vector.signature, publicKey: vectors.payer.publicKey };
+  const bytes = encodeToken(token);
+  assert.equal(Buffer.from(bytes).toString('utf8'), JSON.stringify(token));
+  assert.deepEqual(decodeToken(bytes), token);
+});
+
+test('encodeToken refuses what it cannot encode', () => {
+  const [vector] = vectors.encodedTokens;
+  const refuses = (token) => assert.throws(() => encodeToken(token), TokenError);
+  refuses({ ...vector.token, signature: 'not base64!' });
+  refuses({ ...vector.token, txnId: 'TXN-1' });
+  refuses({ ...vector.token, certificate: { ...vectors.certificates[0].certificate } });
+});
+
+for (const vector of vectors.malformedEncodings) {
+  test(`malformed encoding: ${vector.name}`, () => {
+    assert.throws(() => decodeToken(Buffer.from(vector.hex, 'hex')), (error) => {
+      return error instanceof TokenError && error.code === vector.error;
+    });
+  });
+}
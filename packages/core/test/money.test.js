@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isPaise, parseRupees, toRupeeString, formatRupees } = require('../src');
+
+test('paise are positive safe integers', () => {
+  assert.equal(isPaise(1), true);
+  assert.equal(isPaise(Number.MAX_SAFE_INTEGER), true);
+  for (const value of [0, -100, 1.5, '100', Number.MAX_SAFE_INTEGER + 1, NaN, null]) {
+    assert.equal(isPaise(value), false, String(value));
+  }
+});
+
+test('typed rupees parse into paise', () => {
+  assert.equal(parseRupees('120'), 12000);
+  assert.equal(parseRupees(' 99.5 '), 9950);
+  assert.equal(parseRupees('0.75'), 75);
+  assert.equal(parseRupees(12), 1200);
+  for (const text of ['', '1.234', '-5', '1e3', '₹10', '10.']) {
+    assert.equal(parseRupees(text), null, text);
+  }
+});
+
+test('paise format as rupees', () => {
+  assert.equal(toRupeeString(123450), '1234.50');
+  assert.equal(toRupeeString(5), '0.05');
+  assert.equal(formatRupees(123450), '₹1234.50');
+  assert.equal(formatRupees(-5000), '-₹50.00');
+  assert.equal(formatRupees(0), '₹0.00');
+});
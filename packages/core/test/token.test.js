@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const nacl = require('tweetnacl');
+const {
+  serializePayment,
+  signPayment,
+  verifyPayment,
+  validatePayment,
+  checkPaymentLimits,
+  negotiateTokenVersion,
+  createTxnId,
+  keyId,
+  TokenError,
+} = require('../src');
+const vectors = require('./vectors.json');
+
+const payer = nacl.sign.keyPair.fromSeed(Buffer.from(vectors.payer.seed, 'hex'));
+const hex = (bytes) => Buffer.from(bytes).toString('hex');
+
+for (const vector of vectors.payments) {
+  test(`payment vector: ${vector.name}`, async (t) => {
+    await t.test('serializes to the exact bytes', () => {
+      assert.equal(hex(serializePayment(vector.payment)), vector.messageHex);
+      assert.equal(Buffer.from(vector.messageHex, 'hex').toString('utf8'), vector.message);
+    });
+
+    await t.test('ignores fields outside the signature and their order', () => {
+      const reordered = Object.fromEntries(Object.entries(vector.payment).reverse());
+      const token = { signature: 'x', publicKey: 'y', certificate: {}, ...reordered };
+      assert.equal(hex(serializePayment(token)), vector.messageHex);
+    });
+
+    await t.test('signs to the exact signature', () => {
+      const token = signPayment(vector.payment, payer.secretKey);
+      assert.equal(token.signature, vector.signature);
+      assert.equal(token.version, undefined);
+    });
+
+    await t.test('verifies, with the key as base64 or bytes', () => {
+      const token = { ...vector.payment, signature: vector.signature, publicKey: vectors.payer.publicKey };
+      assert.equal(verifyPayment(token), true);
+      assert.equal(verifyPayment(token, payer.publicKey), true);
+    });
+
+    await t.test('rejects any changed field', () => {
+      const token = { ...vector.payment, signature: vector.signature, publicKey: vectors.payer.publicKey };
+      assert.equal(verifyPayment({ ...token, counter: token.counter - 1 }), false);
+      assert.equal(verifyPayment({ ...token, to: `${token.to}X` }), false);
+      assert.equal(verifyPayment({ ...token, amountPaise: token.amountPaise - 1 }), false);
+    });
+  });
+}
+
+for (const vector of vectors.binaryPayments) {
+  test(`binary payment vector: ${vector.name}`, async (t) => {
+    await t.test('serializes to the exact bytes', () => {
+      assert.equal(hex(serializePayment(vector.payment)), vector.messageHex);
+    });
+
+    await t.test('signs to the exact signature, naming the key by keyId', () => {
+      const { keyId: _, ...payment } = vector.payment;
+      const token = signPayment(payment, payer.secretKey);
+      assert.equal(token.keyId, vectors.payer.keyId);
+      assert.equal(keyId(vectors.payer.publicKey), vectors.payer.keyId);
+      assert.equal(token.signature, vector.signature);
+    });
+
+    await t.test('verifies only against the key it names', () => {
+      const token = { ...vector.payment, signature: vector.signature };
+      assert.equal(verifyPayment(token, vectors.payer.publicKey), true);
+      assert.equal(verifyPayment(token), false);
+      assert.equal(verifyPayment({ ...token, keyId: '0000000000000000' }, vectors.payer.publicKey), false);
+      assert.equal(verifyPayment({ ...token, version: undefined }, vectors.payer.publicKey), false);
+    });
+
+    await t.test('rejects any changed field', () => {
+      const token = { ...vector.payment, signature: vector.signature };
+      assert.equal(verifyPayment({ ...token, counter: token.counter - 1 }, payer.publicKey), false);
+      assert.equal(verifyPayment({ ...token, to: 'MERCH002' }, payer.publicKey), false);
+      assert.equal(verifyPayment({ ...token, amountPaise: token.amountPaise - 1 }, payer.publicKey), false);
+    });
+  });
+}
+
+test('verifyPayment refuses malformed signatures and keys', () => {
+  const [vector] = vectors.payments;
+  const token = { ...vector.payment, signature: vector.signature, publicKey: vectors.payer.publicKey };
+  assert.equal(verifyPayment({ ...token, signature: 'not base64!' }), false);
+  assert.equal(verifyPayment({ ...token, signature: vector.signature.slice(4) }), false);
+  assert.equal(verifyPayment({ ...token, publicKey: 'AAAA' }), false);
+  assert.equal(verifyPayment({ ...token, signature: undefined }), false);
+});
+
+for (const vector of vectors.invalidPayments) {
+  test(`invalid payment: ${vector.name}`, () => {
+    assert.equal(validatePayment(vector.payment), vector.error);
+    assert.throws(() => serializePayment(vector.payment), (error) => {
+      return error instanceof TokenError && error.code === vector.error;
+    });
+    assert.equal(verifyPayment({ ...vector.payment, signature: vectors.payments[0].signature }, payer.publicKey), false);
+  });
+}
+
+for (const vector of vectors.limits) {
+  test(`limits: ${vector.name}`, () => {
+    assert.equal(checkPaymentLimits(vector.payment, vector.policy, vector.now ?? undefined), vector.error);
+  });
+}
+
+test('createTxnId makes ids a binary token can carry', () => {
+  const txnId = createTxnId();
+  assert.match(txnId, /^[0-9a-f]{16}$/);
+  assert.notEqual(createTxnId(), txnId);
+});
+
+for (const vector of vectors.negotiation) {
+  test(`negotiation: ${vector.name}`, () => {
+    assert.equal(negotiateTokenVersion(vector.offered ?? undefined, vector.supported), vector.expected);
+  });
+}
@@ -2,12 +2,14 @@ import React, { useState, useEffect } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { Provider as PaperProvider, DefaultTheme, ActivityIndicator } from 'react-native-paper';
-import { View, StyleSheet } from 'react-native';
-import { AppProvider } from './src/context/AppContext';
+import { View, StyleSheet, Alert } from 'react-native';
+import { AppProvider, useApp } from './src/context/AppContext';
 
 // Auth Screens
 import LoginScreen from './src/screens/LoginScreen';
 import RegisterScreen from './src/screens/RegisterScreen';
+import RestoreKeyScreen from './src/screens/RestoreKeyScreen';
+import ForgotPasswordScreen from './src/screens/ForgotPasswordScreen';
 
 // App Screens
 import HomeScreen from './src/screens/HomeScreen';
@@ -15,9 +17,13 @@ import ScanQRScreen from './src/screens/ScanQRScreen';
 import PaymentScreen from './src/screens/PaymentScreen';
 import PaymentSuccessScreen from './src/screens/PaymentSuccessScreen';
 import LoadBalanceScreen from './src/screens/LoadBalanceScreen';
+import BackupKeyScreen from './src/screens/BackupKeyScreen';
+import SessionsScreen from './src/screens/SessionsScreen';
+import SetPinScreen from './src/screens/SetPinScreen';
+import VerifyPhoneScreen from './src/screens/VerifyPhoneScreen';
 
 // Services
-import AuthService from './src/services/AuthService';
+import ApiClient, { SESSION_REVOKED } from './src/services/ApiClient';
 
 const Stack = createNativeStackNavigator();
 
@@ -41,6 +47,17 @@ function AuthStack() {
     >
       <Stack.Screen name="Login" component={LoginScreen} />
       <Stack.Screen name="Register" component={RegisterScreen} />
+      <Stack.Screen 
+        name="RestoreKey" 
+        component={RestoreKeyScreen}
+        options={{ headerShown: true, title: 'Restore Signing Key' }}
+      />
+      <Stack.Screen 
+        name="ForgotPassword" 
+        component={ForgotPasswordScreen}
+        options={{ headerShown: true, title: 'Reset Password' }}
+      />
+      <Stack.Screen name="VerifyPhone" component={VerifyPhoneScreen} />
     </Stack.Navigator>
   );
 }
@@ -83,12 +100,38 @@ function MainStack() {
         component={LoadBalanceScreen}
         options={{ title: 'Load Offline Balance' }}
       />
+      <Stack.Screen 
+        name="BackupKey" 
+        component={BackupKeyScreen}
+        options={{ title: 'Back Up Signing Key' }}
+      />
+      <Stack.Screen 
+        name="RestoreKey" 
+        component={RestoreKeyScreen}
+        options={{ title: 'Restore Signing Key' }}
+      />
+      <Stack.Screen 
+        name="Sessions" 
+        component={SessionsScreen}
+        options={{ title: 'Devices & Sessions' }}
+      />
+      <Stack.Screen 
+        name="VerifyPhone" 
+        component={VerifyPhoneScreen}
+        options={{ title: 'Verify Phone' }}
+      />
+      <Stack.Screen 
+        name="SetPin" 
+        component={SetPinScreen}
+        options={{ title: 'Payment PIN' }}
+      />
     </Stack.Navigator>
   );
 }
 
 // Root Navigator with Auth Check
 function RootNavigator() {
+  const { restoreUser } = useApp();
   const [isLoading, setIsLoading] = useState(true);
   const [isLoggedIn, setIsLoggedIn] = useState(false);
 
@@ -98,9 +141,16 @@ function RootNavigator() {
 
   const checkAuthStatus = async () => {
     try {
-      const loggedIn = await AuthService.isLoggedIn();
+      const loggedIn = await ApiClient.isLoggedIn();
+      if (loggedIn) {
+        // Before the main screens mount, so they open on the payer's data
+        await restoreUser();
+      }
       setIsLoggedIn(loggedIn);
     } catch (error) {
+      if (error.code === SESSION_REVOKED) {
+        Alert.alert('Session Ended', error.message);
+      }
       setIsLoggedIn(false);
     } finally {
       setIsLoading(false);
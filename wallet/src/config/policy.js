@@ -0,0 +1,18 @@
+// Limits and timings from backend/policy.json, bundled so a fresh install works
+// offline. Replaced by the signed policy from GET /api/policy once fetched.
+export const DEFAULT_POLICY = {
+  version: 2,
+  maxPaymentPaise: 50000,
+  dailySpendLimitPaise: 200000,
+  maxOfflineBalancePaise: 200000,
+  spendDayUtcOffsetMinutes: 330,
+  qrExpirySeconds: 18,
+  tokenMaxAgeSeconds: 60,
+};
+
+// Day (YYYY-MM-DD) a payment signed at this time counts against. A payer's day
+// follows the policy's timezone, whatever the phone's timezone is.
+export function spendDay(timestamp, policy) {
+  const offsetMs = policy.spendDayUtcOffsetMinutes * 60 * 1000;
+  return new Date(timestamp + offsetMs).toISOString().slice(0, 10);
+}
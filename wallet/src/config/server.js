@@ -0,0 +1,23 @@
+import nacl from 'tweetnacl';
+import naclUtil from 'tweetnacl-util';
+
+// Backend signing key, pinned at build time: babel inlines
+// TOKPAY_SERVER_PUBLIC_KEY, the publicKey from GET /api/server-key of the
+// deployment this build talks to.
+export const SERVER_PUBLIC_KEY = process.env.TOKPAY_SERVER_PUBLIC_KEY;
+
+function isPublicKey(key) {
+  try {
+    return naclUtil.decodeBase64(key).length === nacl.sign.publicKeyLength;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Without it no policy from the server can be checked, so a
+// build missing the key must not start
+if (!isPublicKey(SERVER_PUBLIC_KEY)) {
+  throw new Error(
+    'TOKPAY_SERVER_PUBLIC_KEY is missing or invalid. Bundle with it set to the publicKey from GET /api/server-key.'
+  );
+}
@@ -2,17 +2,38 @@ import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import * as Keychain from 'react-native-keychain';
 import nacl from 'tweetnacl';
 import naclUtil from 'tweetnacl-util';
+import { signPayment, createTxnId, verifyPolicy, formatRupees } from '@tokpay/core';
+import ApiClient, { DEVICE_LABEL } from '../services/ApiClient';
+import PinService, { MAX_PIN_ATTEMPTS } from '../services/PinService';
+import StorageService, { JOURNAL_STATES } from '../services/StorageService';
+import BLEService from '../services/BLEService';
+import { DEFAULT_POLICY, spendDay } from '../config/policy';
+import { SERVER_PUBLIC_KEY } from '../config/server';
+
+const CERTIFICATE_SERVICE = 'tokpay-balance-cert';
+const PIN_SERVICE = 'tokpay-pin';
+const DAILY_SPEND_SERVICE = 'tokpay-daily-spend';
+const POLICY_SERVICE = 'tokpay-policy';
+
+const POLICY_UNVERIFIED = 'Could not verify the limits sent by the server. The last verified limits still apply.';
+
+const NO_PIN = { verifier: null, failedAttempts: 0, locked: false };
 
 // Initial state
 const initialState = {
   user: null,
   isLoggedIn: false,
-  balance: 0,
+  balance: 0, // Paise, like every amount in state
   offlineBalance: 0,
   keyPair: null,
-  transactions: [],
+  certificate: null, // Server-signed offline balance certificate from load-balance
+  pin: NO_PIN, // Payment PIN verifier and offline attempt tracking
+  dailySpend: null, // { phone, day, amountPaise } signed on the latest spend day
+  policy: DEFAULT_POLICY, // Limits and timings, synced from server
+  transactions: [], // Persisted per payer by StorageService
   pendingSync: [],
-  counter: 0,
+  counter: 0, // Next counter this install's key signs with
+  policyError: null, // Why the latest policy from the server was not taken
 };
 
 // Action types
@@ -20,10 +41,16 @@ const ACTIONS = {
   SET_USER: 'SET_USER',
   SET_BALANCE: 'SET_BALANCE',
   SET_KEYPAIR: 'SET_KEYPAIR',
+  SET_CERTIFICATE: 'SET_CERTIFICATE',
+  SET_PIN: 'SET_PIN',
+  SET_DAILY_SPEND: 'SET_DAILY_SPEND',
+  SET_POLICY: 'SET_POLICY',
+  SET_POLICY_ERROR: 'SET_POLICY_ERROR',
+  HYDRATE_PAYMENTS: 'HYDRATE_PAYMENTS',
   ADD_TRANSACTION: 'ADD_TRANSACTION',
   ADD_PENDING_SYNC: 'ADD_PENDING_SYNC',
   CLEAR_PENDING_SYNC: 'CLEAR_PENDING_SYNC',
-  INCREMENT_COUNTER: 'INCREMENT_COUNTER',
+  SET_COUNTER: 'SET_COUNTER',
   LOGOUT: 'LOGOUT',
 };
 
@@ -47,11 +74,33 @@ function appReducer(state, action) {
     case ACTIONS.SET_KEYPAIR:
       return { ...state, keyPair: action.payload };
     
+    case ACTIONS.SET_CERTIFICATE:
+      return { ...state, certificate: action.payload };
+    
+    case ACTIONS.SET_PIN:
+      return { ...state, pin: action.payload };
+    
+    case ACTIONS.SET_DAILY_SPEND:
+      return { ...state, dailySpend: action.payload };
+    
+    case ACTIONS.SET_POLICY:
+      return { ...state, policy: action.payload };
+    
+    case ACTIONS.SET_POLICY_ERROR:
+      return { ...state, policyError: action.payload };
+    
+    case ACTIONS.HYDRATE_PAYMENTS:
+      return {
+        ...state,
+        transactions: action.payload.transactions,
+        pendingSync: action.payload.pendingSync
+      };
+    
     case ACTIONS.ADD_TRANSACTION:
       return { 
         ...state, 
         transactions: [action.payload, ...state.transactions],
-        offlineBalance: state.offlineBalance - action.payload.amount
+        offlineBalance: state.offlineBalance - action.payload.amountPaise
       };
     
     case ACTIONS.ADD_PENDING_SYNC:
@@ -63,11 +112,19 @@ function appReducer(state, action) {
     case ACTIONS.CLEAR_PENDING_SYNC:
       return { ...state, pendingSync: [] };
     
-    case ACTIONS.INCREMENT_COUNTER:
-      return { ...state, counter: state.counter + 1 };
+    case ACTIONS.SET_COUNTER:
+      return { ...state, counter: action.payload };
     
     case ACTIONS.LOGOUT:
-      return initialState;
+      // Today's spend outlives the session so logging out can't reset it.
+      // The policy is not account data either, and the counter belongs to the
+      // key. Payments stay in storage and come back on the next login.
+      return {
+        ...initialState,
+        dailySpend: state.dailySpend,
+        policy: state.policy,
+        counter: state.counter,
+      };
     
     default:
       return state;
@@ -84,8 +141,54 @@ export function AppProvider({ children }) {
   // Generate or load keypair on startup
   useEffect(() => {
     loadOrCreateKeyPair();
+    loadCertificate();
+    readPinState().then((pin) => dispatch({ type: ACTIONS.SET_PIN, payload: pin }));
+    loadDailySpend();
+    loadPolicy();
   }, []);
 
+  // The counter continues where this key left off before the restart
+  useEffect(() => {
+    if (state.keyPair) {
+      loadCounter(state.keyPair.publicKey);
+    }
+  }, [state.keyPair?.publicKey]);
+
+  // Once the payer is known (restored at launch, or on login), bring back
+  // their history and unsynced payments, then finish any payment the app was
+  // closed in the middle of
+  useEffect(() => {
+    if (state.user?.phone) {
+      const phone = state.user.phone;
+      loadPayments(phone).then(() => recoverPayments(phone));
+    }
+  }, [state.user?.phone]);
+
+  // The signed-in payer, kept with the session so a restart comes back to them
+  async function setUser(user) {
+    dispatch({ type: ACTIONS.SET_USER, payload: user });
+    try {
+      await ApiClient.setAccount(user);
+    } catch (error) {
+      console.error('Failed to store account:', error);
+    }
+  }
+
+  // At launch with a stored session: bring back its payer, which loads their
+  // history and sync queue and recovers interrupted payments (see above)
+  async function restoreUser() {
+    try {
+      const user = await ApiClient.getAccount();
+      if (user) {
+        dispatch({ type: ACTIONS.SET_USER, payload: user });
+      }
+      return user;
+    } catch (error) {
+      console.error('Failed to restore account:', error);
+      return null;
+    }
+  }
+
   // Load existing keypair or create new one
   async function loadOrCreateKeyPair() {
     try {
@@ -96,62 +199,490 @@ export function AppProvider({ children }) {
         const keyPair = JSON.parse(credentials.password);
         dispatch({ type: ACTIONS.SET_KEYPAIR, payload: keyPair });
       } else {
-        // Generate new Ed25519 keypair
-        const newKeyPair = nacl.sign.keyPair();
-        const keyData = {
-          publicKey: naclUtil.encodeBase64(newKeyPair.publicKey),
-          secretKey: naclUtil.encodeBase64(newKeyPair.secretKey),
-        };
-        
-        // Store in secure storage
-        await Keychain.setGenericPassword('tokpay', JSON.stringify(keyData), { 
-          service: 'tokpay-keys' 
-        });
-        
-        dispatch({ type: ACTIONS.SET_KEYPAIR, payload: keyData });
+        await createKeyPair();
       }
     } catch (error) {
       console.error('Failed to load/create keypair:', error);
     }
   }
 
-  // Sign a payment token
-  function signPaymentToken(merchantId, amount) {
-    if (!state.keyPair) return null;
+  // Generate a new Ed25519 keypair and keep it in secure storage
+  async function createKeyPair() {
+    const newKeyPair = nacl.sign.keyPair();
+    return saveKeyPair({
+      publicKey: naclUtil.encodeBase64(newKeyPair.publicKey),
+      secretKey: naclUtil.encodeBase64(newKeyPair.secretKey),
+    });
+  }
 
-    const tokenData = {
-      from: state.user?.phone,
-      to: merchantId,
-      amount: amount,
-      counter: state.counter,
-      timestamp: Date.now(),
-      txnId: `TXN-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+  // Replace this install's keypair (e.g. one restored from a recovery blob)
+  async function saveKeyPair(keyData) {
+    await Keychain.setGenericPassword('tokpay', JSON.stringify(keyData), { 
+      service: 'tokpay-keys' 
+    });
+
+    dispatch({ type: ACTIONS.SET_KEYPAIR, payload: keyData });
+    return keyData;
+  }
+
+  // Put a key restored from a backup on this install. It continues from the
+  // counter saved in the backup, or from past the last counter the server has
+  // seen if that is further (payments made after the backup was taken).
+  async function restoreKeyPair(keyPair, nextCounter) {
+    await saveKeyPair(keyPair);
+    await StorageService.raiseCounter(keyPair.publicKey, nextCounter);
+
+    if (state.isLoggedIn) {
+      try {
+        const { devices = [] } = await ApiClient.getCounters();
+        const device = devices.find((candidate) => candidate.publicKey === keyPair.publicKey);
+        if (device && device.lastCounter !== null) {
+          await StorageService.raiseCounter(keyPair.publicKey, device.lastCounter + 1);
+        }
+      } catch (error) {
+        // Offline: the next balance certificate carries the server's counter
+        console.log('Counter check skipped:', error.message);
+      }
+    }
+
+    await loadCounter(keyPair.publicKey);
+  }
+
+  // Make sure this install's key is enrolled on the logged-in account. A reinstall
+  // creates a fresh keypair the server doesn't know yet, and a retired or revoked
+  // key can never sign again, so it is rotated to a new one first.
+  async function ensureDeviceEnrolled(keyPair = state.keyPair) {
+    if (!keyPair) return;
+
+    try {
+      const { devices = [] } = await ApiClient.getDevices();
+      const current = devices.find((device) => device.publicKey === keyPair.publicKey);
+      if (current?.status === 'active') return;
+
+      if (current) {
+        keyPair = await createKeyPair();
+      }
+
+      const { challenge } = await ApiClient.getChallenge('enroll_device');
+      const signature = signChallenge('enroll_device', challenge, keyPair);
+      await ApiClient.enrollDevice(keyPair.publicKey, DEVICE_LABEL, { challenge, signature });
+    } catch (error) {
+      console.error('Device enrollment failed:', error);
+    }
+  }
+
+  // Load the last balance certificate so offline payments survive a restart
+  async function loadCertificate() {
+    try {
+      const credentials = await Keychain.getGenericPassword({ service: CERTIFICATE_SERVICE });
+      if (credentials) {
+        dispatch({ type: ACTIONS.SET_CERTIFICATE, payload: JSON.parse(credentials.password) });
+      }
+    } catch (error) {
+      console.error('Failed to load certificate:', error);
+    }
+  }
+
+  // Store the certificate returned by /api/load-balance
+  async function setCertificate(certificate) {
+    try {
+      await Keychain.setGenericPassword('tokpay', JSON.stringify(certificate), {
+        service: CERTIFICATE_SERVICE
+      });
+    } catch (error) {
+      console.error('Failed to store certificate:', error);
+    }
+    dispatch({ type: ACTIONS.SET_CERTIFICATE, payload: certificate });
+  }
+
+  // PIN state lives in Keychain so the attempt count survives restarts; it is
+  // read from there rather than from React state so checks never see stale counts
+  async function readPinState() {
+    try {
+      const credentials = await Keychain.getGenericPassword({ service: PIN_SERVICE });
+      return credentials ? JSON.parse(credentials.password) : NO_PIN;
+    } catch (error) {
+      console.error('Failed to load PIN state:', error);
+      return NO_PIN;
+    }
+  }
+
+  async function savePinState(pin) {
+    await Keychain.setGenericPassword('tokpay', JSON.stringify(pin), { service: PIN_SERVICE });
+    dispatch({ type: ACTIONS.SET_PIN, payload: pin });
+  }
+
+  // Store the verifier from set-pin or login. A lockout only survives if the PIN
+  // itself is unchanged; setting a new PIN needed the account password anyway.
+  async function setPinVerifier(verifier) {
+    const stored = await readPinState();
+    if (verifier && stored.verifier?.hash === verifier.hash) {
+      return savePinState({ ...stored, verifier });
+    }
+    return savePinState({ ...NO_PIN, verifier: verifier || null });
+  }
+
+  // Check the PIN offline. Too many wrong PINs lock offline payments until
+  // unlockPin succeeds online.
+  async function checkPin(pin) {
+    const stored = await readPinState();
+    if (!stored.verifier) {
+      return { valid: false, error: 'Set a payment PIN first' };
+    }
+    if (stored.locked) {
+      return { valid: false, locked: true };
+    }
+
+    const valid = await PinService.matches(pin, stored.verifier);
+    const failedAttempts = valid ? 0 : stored.failedAttempts + 1;
+    const locked = failedAttempts >= MAX_PIN_ATTEMPTS;
+    await savePinState({ ...stored, failedAttempts, locked });
+
+    return { valid, locked, attemptsRemaining: MAX_PIN_ATTEMPTS - failedAttempts };
+  }
+
+  // Lift the offline lockout by verifying the PIN with the server
+  async function unlockPin(pin) {
+    const response = await ApiClient.verifyPin(pin);
+    if (response.valid) {
+      const stored = await readPinState();
+      await savePinState({ ...stored, failedAttempts: 0, locked: false });
+    }
+    return response;
+  }
+
+  // Load what was signed on the latest spend day
+  async function loadDailySpend() {
+    try {
+      const credentials = await Keychain.getGenericPassword({ service: DAILY_SPEND_SERVICE });
+      if (credentials) {
+        const stored = JSON.parse(credentials.password);
+        // Entries written before integer paise hold rupees in `amount`
+        const dailySpend = stored.amountPaise === undefined
+          ? { phone: stored.phone, day: stored.day, amountPaise: Math.round(stored.amount * 100) }
+          : stored;
+        dispatch({ type: ACTIONS.SET_DAILY_SPEND, payload: dailySpend });
+      }
+    } catch (error) {
+      console.error('Failed to load daily spend:', error);
+    }
+  }
+
+  // Paise the logged-in payer has signed on the given spend day
+  function getSpent(day = spendDay(Date.now(), state.policy)) {
+    const { dailySpend } = state;
+    if (!dailySpend || dailySpend.phone !== state.user?.phone || dailySpend.day !== day) {
+      return 0;
+    }
+    return dailySpend.amountPaise;
+  }
+
+  // How much more can be signed today before hitting the daily limit
+  function getRemainingToday() {
+    return Math.max(0, state.policy.dailySpendLimitPaise - getSpent());
+  }
+
+  // Count a signed payment against its spend day, in memory and in Keychain
+  function recordSpend(day, amountPaise) {
+    const dailySpend = { phone: state.user?.phone, day, amountPaise: getSpent(day) + amountPaise };
+    dispatch({ type: ACTIONS.SET_DAILY_SPEND, payload: dailySpend });
+    Keychain.setGenericPassword('tokpay', JSON.stringify(dailySpend), { service: DAILY_SPEND_SERVICE })
+      .catch((error) => console.error('Failed to store daily spend:', error));
+  }
+
+  // Read the last verified policy, or the bundled one before the first fetch.
+  // A stored policy older than the bundled one may lack fields this build reads.
+  async function readStoredPolicy() {
+    try {
+      const credentials = await Keychain.getGenericPassword({ service: POLICY_SERVICE });
+      const stored = credentials ? JSON.parse(credentials.password) : null;
+      return stored && stored.version >= DEFAULT_POLICY.version ? stored : DEFAULT_POLICY;
+    } catch (error) {
+      console.error('Failed to load policy:', error);
+      return DEFAULT_POLICY;
+    }
+  }
+
+  async function loadPolicy() {
+    dispatch({ type: ACTIONS.SET_POLICY, payload: await readStoredPolicy() });
+  }
+
+  // Download the current policy (call whenever online). Only newer versions are
+  // taken, so replaying an old signed policy can't bring back looser limits.
+  async function refreshPolicy() {
+    const stored = await readStoredPolicy();
+    let signed;
+
+    try {
+      signed = await ApiClient.getPolicy();
+    } catch (error) {
+      // Offline or server unreachable: keep the policy we have
+      console.log('Policy refresh skipped:', error.message);
+      return;
+    }
+
+    // The server answered but its policy doesn't check out against the pinned
+    // key: a wrong key in this build, or a tampered response. Keep the policy
+    // we have and say so, as limits will stop following the server.
+    const policy = verifyPolicy(signed, SERVER_PUBLIC_KEY);
+    if (!policy) {
+      console.error('Policy failed verification');
+      dispatch({ type: ACTIONS.SET_POLICY_ERROR, payload: POLICY_UNVERIFIED });
+      return;
+    }
+    dispatch({ type: ACTIONS.SET_POLICY_ERROR, payload: null });
+
+    if (policy.version <= stored.version) return;
+
+    try {
+      await Keychain.setGenericPassword('tokpay', JSON.stringify(policy), {
+        service: POLICY_SERVICE
+      });
+    } catch (error) {
+      console.error('Failed to store policy:', error);
+    }
+    dispatch({ type: ACTIONS.SET_POLICY, payload: policy });
+  }
+
+  async function loadCounter(publicKey) {
+    try {
+      dispatch({ type: ACTIONS.SET_COUNTER, payload: await StorageService.getCounter(publicKey) });
+    } catch (error) {
+      console.error('Failed to load counter:', error);
+    }
+  }
+
+  async function loadPayments(phone) {
+    try {
+      const [transactions, pendingSync] = await Promise.all([
+        StorageService.getTransactions(phone),
+        StorageService.getPendingSync(phone),
+      ]);
+      dispatch({ type: ACTIONS.HYDRATE_PAYMENTS, payload: { transactions, pendingSync } });
+    } catch (error) {
+      console.error('Failed to load payments:', error);
+    }
+  }
+
+  async function addTransaction(txn) {
+    try {
+      await StorageService.saveTransaction(state.user?.phone, txn);
+    } catch (error) {
+      console.error('Failed to store transaction:', error);
+    }
+    dispatch({ type: ACTIONS.ADD_TRANSACTION, payload: txn });
+  }
+
+  async function addPendingSync(token) {
+    try {
+      await StorageService.addPendingSync(state.user?.phone, token);
+    } catch (error) {
+      console.error('Failed to queue payment for sync:', error);
+    }
+    dispatch({ type: ACTIONS.ADD_PENDING_SYNC, payload: token });
+  }
+
+  async function clearPendingSync() {
+    try {
+      await StorageService.clearPendingSync(state.user?.phone);
+    } catch (error) {
+      console.error('Failed to clear sync queue:', error);
+    }
+    dispatch({ type: ACTIONS.CLEAR_PENDING_SYNC });
+  }
+
+  // Payments run through the journal in StorageService:
+  // intent -> signed -> sent -> acknowledged / failed / reconcile.
+  // A journaled payment is signed at most once; every later attempt, including
+  // recovery after a restart, resends the identical token.
+  async function beginPayment({ merchantId, merchantName, bleId, amountPaise, tokenVersion }) {
+    return StorageService.createPaymentIntent(state.user?.phone, {
+      merchantId, merchantName, bleId, amountPaise, tokenVersion,
+    });
+  }
+
+  // The journaled token, signing it first if this payment has none yet
+  async function signJournaledPayment(payment) {
+    if (payment.token) return payment.token;
+
+    let token;
+    try {
+      token = await signPaymentToken(payment.merchantId, payment.amountPaise, payment.tokenVersion);
+      if (!token) {
+        throw new Error('Failed to sign token');
+      }
+    } catch (error) {
+      await StorageService.setJournalState(payment.id, JOURNAL_STATES.FAILED, { error: error.message });
+      error.paymentClosed = true;
+      throw error;
+    }
+    await StorageService.setJournalState(payment.id, JOURNAL_STATES.SIGNED, { token });
+    return token;
+  }
+
+  // Record the outcome of a payment whose token is out, in history and the sync queue
+  async function settleJournaledPayment(phone, payment, token, journalState) {
+    const transaction = {
+      ...token,
+      merchantName: payment.merchantName,
+      status: journalState === JOURNAL_STATES.ACKNOWLEDGED ? 'completed' : 'pending',
     };
+    await StorageService.settlePayment(payment.id, journalState, phone, transaction);
+    dispatch({ type: ACTIONS.ADD_TRANSACTION, payload: transaction });
+    dispatch({ type: ACTIONS.ADD_PENDING_SYNC, payload: token });
+  }
+
+  // Hand a journaled payment to its merchant over BLE. Throws if the merchant
+  // can't be reached, leaving the journal where it got to so it can be retried.
+  async function deliverPayment(id, { onSending } = {}, phone = state.user?.phone) {
+    const payment = await StorageService.getJournalEntry(id);
+    if (![JOURNAL_STATES.INTENT, JOURNAL_STATES.SIGNED, JOURNAL_STATES.SENT].includes(payment.state)) {
+      const error = new Error('This payment has already ended');
+      error.paymentClosed = true;
+      throw error;
+    }
+    await BLEService.connect(payment.bleId);
+    onSending?.();
+
+    let token;
+    try {
+      token = await signJournaledPayment(payment);
+    } catch (error) {
+      await BLEService.disconnect();
+      throw error;
+    }
+
+    await StorageService.setJournalState(id, JOURNAL_STATES.SENT);
+    const response = await BLEService.sendPayment(token);
+
+    if (!response.success) {
+      // Refused outright, so this token will never be settled
+      await StorageService.setJournalState(id, JOURNAL_STATES.FAILED, { error: response.error });
+      return { success: false, error: response.error || 'Payment failed' };
+    }
+
+    await settleJournaledPayment(phone, payment, token, JOURNAL_STATES.ACKNOWLEDGED);
+    return { success: true, token };
+  }
+
+  // Give up delivering for now. A signed token may already be with the
+  // merchant, so it is kept for reconciliation; with `sign`, an unsigned
+  // payment is signed and kept too (paying offline, to sync later).
+  // Returns the journal state the payment ended in.
+  async function closePayment(id, { sign = false } = {}, phone = state.user?.phone) {
+    const payment = await StorageService.getJournalEntry(id);
+
+    if (!payment.token && !sign) {
+      await StorageService.setJournalState(id, JOURNAL_STATES.FAILED, { error: 'Cancelled' });
+      return JOURNAL_STATES.FAILED;
+    }
+
+    const token = await signJournaledPayment(payment);
+    await settleJournaledPayment(phone, payment, token, JOURNAL_STATES.RECONCILE);
+    return JOURNAL_STATES.RECONCILE;
+  }
+
+  // On launch: a payment interrupted before signing never left the phone and
+  // fails; a signed one is resent as is, or kept for reconciliation if the
+  // merchant is out of reach
+  async function recoverPayments(phone) {
+    try {
+      const open = await StorageService.getOpenPayments(phone);
+      for (const payment of open) {
+        if (!payment.token) {
+          await StorageService.setJournalState(payment.id, JOURNAL_STATES.FAILED, {
+            error: 'Interrupted before signing',
+          });
+          continue;
+        }
+
+        try {
+          await deliverPayment(payment.id, {}, phone);
+        } catch (error) {
+          console.log('Interrupted payment kept for reconciliation:', error.message);
+          await closePayment(payment.id, {}, phone);
+        }
+      }
+    } catch (error) {
+      console.error('Failed to recover payments:', error);
+    }
+  }
+
+  // Sign a server challenge to prove we hold the secret key.
+  // Must match buildChallengeMessage on the backend.
+  function signChallenge(purpose, challenge, keyPair = state.keyPair) {
+    if (!keyPair) return null;
 
-    const message = JSON.stringify(tokenData);
-    const messageBytes = naclUtil.decodeUTF8(message);
-    const secretKey = naclUtil.decodeBase64(state.keyPair.secretKey);
+    const messageBytes = naclUtil.decodeUTF8(`tokpay:${purpose}:${challenge}`);
+    const secretKey = naclUtil.decodeBase64(keyPair.secretKey);
     const signature = nacl.sign.detached(messageBytes, secretKey);
 
-    dispatch({ type: ACTIONS.INCREMENT_COUNTER });
+    return naclUtil.encodeBase64(signature);
+  }
+
+  // Sign a payment token for an integer amount of paise, in the token
+  // version agreed with the merchant. Refuses to sign past the daily limit. The counter is reserved in storage before signing, so
+  // no token leaves the app with a counter that a restart could hand out again.
+  async function signPaymentToken(merchantId, amountPaise, version = 1) {
+    if (!state.keyPair) return null;
+
+    if (!Number.isSafeInteger(amountPaise) || amountPaise <= 0) {
+      throw new Error('Amount must be a whole number of paise');
+    }
+
+    const timestamp = Date.now();
+    const day = spendDay(timestamp, state.policy);
+    const remaining = state.policy.dailySpendLimitPaise - getSpent(day);
+    if (amountPaise > remaining) {
+      throw new Error(`Daily limit reached. You can pay ${formatRupees(Math.max(0, remaining))} more today`);
+    }
+
+    const { certificate, keyPair } = state;
+    const counterStart = certificate?.publicKey === keyPair.publicKey ? certificate.counterStart : 0;
+    const counter = await StorageService.reserveCounter(keyPair.publicKey, counterStart);
+
+    const signed = signPayment({
+      version,
+      from: state.user?.phone,
+      to: merchantId,
+      amountPaise,
+      counter,
+      timestamp,
+      txnId: createTxnId(),
+    }, keyPair.secretKey);
+
+    dispatch({ type: ACTIONS.SET_COUNTER, payload: counter + 1 });
+    recordSpend(day, amountPaise);
 
     return {
-      ...tokenData,
-      signature: naclUtil.encodeBase64(signature),
-      publicKey: state.keyPair.publicKey,
+      ...signed,
+      publicKey: keyPair.publicKey,
+      certificate,
     };
   }
 
   // Actions
   const actions = {
-    setUser: (user) => dispatch({ type: ACTIONS.SET_USER, payload: user }),
+    setUser,
+    restoreUser,
     setBalance: (balance, offlineBalance) => 
       dispatch({ type: ACTIONS.SET_BALANCE, payload: { balance, offlineBalance } }),
-    addTransaction: (txn) => dispatch({ type: ACTIONS.ADD_TRANSACTION, payload: txn }),
-    addPendingSync: (txn) => dispatch({ type: ACTIONS.ADD_PENDING_SYNC, payload: txn }),
-    clearPendingSync: () => dispatch({ type: ACTIONS.CLEAR_PENDING_SYNC }),
+    addTransaction,
+    addPendingSync,
+    clearPendingSync,
+    setCertificate,
+    setPinVerifier,
+    checkPin,
+    unlockPin,
     logout: () => dispatch({ type: ACTIONS.LOGOUT }),
-    signPaymentToken,
+    beginPayment,
+    deliverPayment,
+    closePayment,
+    getRemainingToday,
+    refreshPolicy,
+    signChallenge,
+    ensureDeviceEnrolled,
+    restoreKeyPair,
   };
 
   return (
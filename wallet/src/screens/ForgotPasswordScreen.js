@@ -0,0 +1,253 @@
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, Alert, ScrollView } from 'react-native';
+import { Text, TextInput, Button, Card, HelperText } from 'react-native-paper';
+import ApiClient, { ApiError } from '../services/ApiClient';
+
+// Matches the server's resend cooldown
+const RESEND_SECONDS = 60;
+
+export default function ForgotPasswordScreen({ navigation }) {
+  const [step, setStep] = useState('phone'); // phone, code, password
+  const [phone, setPhone] = useState('');
+  const [code, setCode] = useState('');
+  const [resetToken, setResetToken] = useState(null);
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [resendIn, setResendIn] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Count down until another code may be requested
+  useEffect(() => {
+    if (resendIn <= 0) return undefined;
+    const timer = setTimeout(() => setResendIn(resendIn - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
+  // The server's reason goes under the field; no answer at all is an alert
+  const showError = (err) => {
+    if (err instanceof ApiError) {
+      setError(err.message);
+    } else {
+      Alert.alert('Error', err.message);
+    }
+  };
+
+  const handleSendCode = async () => {
+    if (!/^[6-9]\d{9}$/.test(phone)) {
+      setError('Enter valid 10-digit phone number');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      await ApiClient.requestPasswordReset(phone);
+      setCode('');
+      setStep('code');
+      setResendIn(RESEND_SECONDS);
+    } catch (err) {
+      showError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVerifyCode = async () => {
+    try {
+      setLoading(true);
+      const response = await ApiClient.verifyPasswordReset(phone, code);
+      setResetToken(response.resetToken);
+      setStep('password');
+    } catch (err) {
+      showError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResetPassword = async () => {
+    if (newPassword !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      await ApiClient.confirmPasswordReset(resetToken, newPassword);
+      Alert.alert('Password Reset', 'Your password has been changed. Please login.', [
+        { text: 'OK', onPress: () => navigation.navigate('Login') },
+      ]);
+    } catch (err) {
+      if (err.code === 'reset_expired') {
+        setStep('phone');
+      }
+      showError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      {step === 'phone' && (
+        <>
+          <Text style={styles.intro}>
+            Enter the phone number of your account. We will text you a code to reset your password.
+          </Text>
+          <Card style={styles.card}>
+            <Card.Content>
+              <TextInput
+                label="Phone Number"
+                value={phone}
+                onChangeText={(text) => {
+                  setPhone(text.replace(/[^0-9]/g, '').slice(0, 10));
+                  setError('');
+                }}
+                keyboardType="phone-pad"
+                mode="outlined"
+                style={styles.input}
+                left={<TextInput.Affix text="+91" />}
+                disabled={loading}
+              />
+              <HelperText type="error" visible={!!error}>
+                {error}
+              </HelperText>
+              <Button
+                mode="contained"
+                onPress={handleSendCode}
+                loading={loading}
+                disabled={loading || !phone}
+                style={styles.button}
+              >
+                Send Code
+              </Button>
+            </Card.Content>
+          </Card>
+        </>
+      )}
+
+      {step === 'code' && (
+        <>
+          <Text style={styles.intro}>
+            If +91 {phone} is registered, we have sent it a 6-digit code.
+          </Text>
+          <Card style={styles.card}>
+            <Card.Content>
+              <TextInput
+                label="Reset Code"
+                value={code}
+                onChangeText={(text) => {
+                  setCode(text.replace(/[^0-9]/g, '').slice(0, 6));
+                  setError('');
+                }}
+                keyboardType="number-pad"
+                mode="outlined"
+                style={styles.input}
+                disabled={loading}
+              />
+              <HelperText type="error" visible={!!error}>
+                {error}
+              </HelperText>
+              <Button
+                mode="contained"
+                onPress={handleVerifyCode}
+                loading={loading}
+                disabled={loading || code.length !== 6}
+                style={styles.button}
+              >
+                Verify Code
+              </Button>
+              <Button
+                mode="text"
+                onPress={handleSendCode}
+                disabled={loading || resendIn > 0}
+              >
+                {resendIn > 0 ? `Resend code in ${resendIn}s` : 'Resend code'}
+              </Button>
+            </Card.Content>
+          </Card>
+        </>
+      )}
+
+      {step === 'password' && (
+        <>
+          <Text style={styles.intro}>
+            Choose a new password. You will be logged out on every device.
+          </Text>
+          <Card style={styles.card}>
+            <Card.Content>
+              <TextInput
+                label="New Password"
+                value={newPassword}
+                onChangeText={(text) => {
+                  setNewPassword(text);
+                  setError('');
+                }}
+                secureTextEntry={!showPassword}
+                mode="outlined"
+                style={styles.input}
+                right={
+                  <TextInput.Icon
+                    icon={showPassword ? 'eye-off' : 'eye'}
+                    onPress={() => setShowPassword(!showPassword)}
+                  />
+                }
+                disabled={loading}
+              />
+              <TextInput
+                label="Confirm New Password"
+                value={confirmPassword}
+                onChangeText={(text) => {
+                  setConfirmPassword(text);
+                  setError('');
+                }}
+                secureTextEntry={!showPassword}
+                mode="outlined"
+                style={styles.input}
+                disabled={loading}
+              />
+              <HelperText type="info" visible={!error}>
+                At least 8 characters with upper and lower case letters, a number and a special character
+              </HelperText>
+              <HelperText type="error" visible={!!error}>
+                {error}
+              </HelperText>
+              <Button
+                mode="contained"
+                onPress={handleResetPassword}
+                loading={loading}
+                disabled={loading || !newPassword}
+                style={styles.button}
+              >
+                Reset Password
+              </Button>
+            </Card.Content>
+          </Card>
+        </>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    padding: 20,
+    backgroundColor: '#fff',
+  },
+  intro: {
+    color: '#666',
+    fontSize: 14,
+    marginBottom: 20,
+  },
+  card: {
+    marginBottom: 16,
+  },
+  input: {
+    marginBottom: 8,
+  },
+  button: {
+    marginTop: 12,
+  },
+});
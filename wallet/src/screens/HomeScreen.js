@@ -1,20 +1,61 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { View, StyleSheet } from 'react-native';
 import { Card, Title, Paragraph, Button, Text } from 'react-native-paper';
 import { useApp } from '../context/AppContext';
+import ApiClient from '../services/ApiClient';
+import { formatRupees } from '@tokpay/core';
 
 export default function HomeScreen({ navigation }) {
-  const { state } = useApp();
+  const { state, getRemainingToday, refreshPolicy } = useApp();
+  const [serverRemaining, setServerRemaining] = useState(null);
+
+  // The server also counts payments synced from the account's other devices
+  useEffect(() => {
+    refreshPolicy();
+    ApiClient.getProfile()
+      .then((profile) => setServerRemaining(profile.limits?.remainingTodayPaise ?? null))
+      .catch(() => {}); // Offline: local tracking is all we have
+  }, []);
+
+  const remainingToday = serverRemaining === null
+    ? getRemainingToday()
+    : Math.min(serverRemaining, getRemainingToday());
 
   return (
     <View style={styles.container}>
+      {/* Unverified Phone Banner */}
+      {state.user?.isVerified === false && (
+        <Card style={styles.warningCard}>
+          <Card.Content>
+            <Text style={styles.warningText}>
+              Verify your phone number to load offline balance and sync payments
+            </Text>
+            <Button mode="text" onPress={() => navigation.navigate('VerifyPhone')}>
+              Verify Now
+            </Button>
+          </Card.Content>
+        </Card>
+      )}
+
+      {/* Unverified Policy Banner */}
+      {state.policyError && (
+        <Card style={styles.warningCard}>
+          <Card.Content>
+            <Text style={styles.warningText}>{state.policyError}</Text>
+          </Card.Content>
+        </Card>
+      )}
+
       {/* Balance Card */}
       <Card style={styles.balanceCard}>
         <Card.Content>
           <Title style={styles.balanceTitle}>Offline Wallet</Title>
-          <Text style={styles.balanceAmount}>₹{state.offlineBalance.toFixed(2)}</Text>
+          <Text style={styles.balanceAmount}>{formatRupees(state.offlineBalance)}</Text>
+          <Paragraph style={styles.mainBalance}>
+            Main Balance: {formatRupees(state.balance)}
+          </Paragraph>
           <Paragraph style={styles.mainBalance}>
-            Main Balance: ₹{state.balance.toFixed(2)}
+            Left to spend today: {formatRupees(remainingToday)}
           </Paragraph>
         </Card.Content>
       </Card>
@@ -40,6 +81,30 @@ export default function HomeScreen({ navigation }) {
         >
           Load Offline Balance
         </Button>
+
+        <Button
+          mode="text"
+          icon="dialpad"
+          onPress={() => navigation.navigate('SetPin')}
+        >
+          {state.pin.verifier ? 'Change Payment PIN' : 'Set Payment PIN'}
+        </Button>
+
+        <Button
+          mode="text"
+          icon="key"
+          onPress={() => navigation.navigate('BackupKey')}
+        >
+          Back Up Signing Key
+        </Button>
+
+        <Button
+          mode="text"
+          icon="cellphone-link"
+          onPress={() => navigation.navigate('Sessions')}
+        >
+          Devices & Sessions
+        </Button>
       </View>
 
       {/* Recent Transactions */}
@@ -52,7 +117,7 @@ export default function HomeScreen({ navigation }) {
             state.transactions.slice(0, 5).map((txn, index) => (
               <View key={index} style={styles.txnItem}>
                 <Text>{txn.merchantName || txn.to}</Text>
-                <Text style={styles.txnAmount}>-₹{txn.amount}</Text>
+                <Text style={styles.txnAmount}>-{formatRupees(txn.amountPaise)}</Text>
               </View>
             ))
           )}
@@ -107,6 +172,7 @@ const styles = StyleSheet.create({
   },
   loadButton: {
     borderColor: '#6200ee',
+    marginBottom: 4,
   },
   buttonContent: {
     paddingVertical: 8,
@@ -137,4 +203,11 @@ const styles = StyleSheet.create({
   syncText: {
     color: '#e65100',
   },
+  warningCard: {
+    marginBottom: 16,
+    backgroundColor: '#fff3e0',
+  },
+  warningText: {
+    color: '#e65100',
+  },
 });
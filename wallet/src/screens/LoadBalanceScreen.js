@@ -2,28 +2,30 @@ import React, { useState } from 'react';
 import { View, StyleSheet, Alert } from 'react-native';
 import { Text, TextInput, Button, Card, ActivityIndicator } from 'react-native-paper';
 import { useApp } from '../context/AppContext';
-import ApiService from '../services/ApiService';
+import ApiClient, { PHONE_UNVERIFIED } from '../services/ApiClient';
+import { parseRupees, formatRupees } from '@tokpay/core';
 
 export default function LoadBalanceScreen({ navigation }) {
-  const { state, setBalance } = useApp();
+  const { state, setBalance, setCertificate } = useApp();
   const [amount, setAmount] = useState('');
   const [loading, setLoading] = useState(false);
+  const { maxOfflineBalancePaise } = state.policy;
 
   const handleLoad = async () => {
-    const loadAmount = parseFloat(amount);
+    const loadAmount = parseRupees(amount);
 
-    if (!loadAmount || loadAmount <= 0) {
+    if (!loadAmount) {
       Alert.alert('Invalid Amount', 'Please enter a valid amount');
       return;
     }
 
-    if (loadAmount > 2000) {
-      Alert.alert('Limit Exceeded', 'Maximum offline balance is ₹2000');
+    if (loadAmount > maxOfflineBalancePaise) {
+      Alert.alert('Limit Exceeded', `Maximum offline balance is ${formatRupees(maxOfflineBalancePaise)}`);
       return;
     }
 
-    if (state.offlineBalance + loadAmount > 2000) {
-      Alert.alert('Limit Exceeded', `You can only load ₹${2000 - state.offlineBalance} more`);
+    if (state.offlineBalance + loadAmount > maxOfflineBalancePaise) {
+      Alert.alert('Limit Exceeded', `You can only load ${formatRupees(maxOfflineBalancePaise - state.offlineBalance)} more`);
       return;
     }
 
@@ -36,21 +38,22 @@ export default function LoadBalanceScreen({ navigation }) {
       setLoading(true);
       
       // Call API to load balance
-      const response = await ApiService.loadBalance(state.user.phone, loadAmount);
-      
-      if (response.success) {
-        setBalance(
-          state.balance - loadAmount,
-          state.offlineBalance + loadAmount
-        );
-        
-        Alert.alert('Success', `₹${loadAmount} loaded to offline wallet`);
-        navigation.goBack();
+      const response = await ApiClient.loadBalance(loadAmount, state.keyPair?.publicKey);
+      setBalance(response.balancePaise, response.offlineBalancePaise);
+      // Merchants only accept tokens backed by a current certificate
+      await setCertificate(response.certificate);
+
+      Alert.alert('Success', `${formatRupees(loadAmount)} loaded to offline wallet`);
+      navigation.goBack();
+    } catch (error) {
+      if (error.code === PHONE_UNVERIFIED) {
+        Alert.alert('Verify Your Phone', error.message, [
+          { text: 'Not Now', style: 'cancel' },
+          { text: 'Verify', onPress: () => navigation.navigate('VerifyPhone') },
+        ]);
       } else {
-        Alert.alert('Error', response.error || 'Failed to load balance');
+        Alert.alert('Error', error.message);
       }
-    } catch (error) {
-      Alert.alert('Error', 'Network error. Please try again.');
     } finally {
       setLoading(false);
     }
@@ -62,15 +65,15 @@ export default function LoadBalanceScreen({ navigation }) {
         <Card.Content>
           <View style={styles.row}>
             <Text style={styles.label}>Main Balance</Text>
-            <Text style={styles.value}>₹{state.balance.toFixed(2)}</Text>
+            <Text style={styles.value}>{formatRupees(state.balance)}</Text>
           </View>
           <View style={styles.row}>
             <Text style={styles.label}>Offline Balance</Text>
-            <Text style={styles.value}>₹{state.offlineBalance.toFixed(2)}</Text>
+            <Text style={styles.value}>{formatRupees(state.offlineBalance)}</Text>
           </View>
           <View style={styles.row}>
             <Text style={styles.label}>Can Load More</Text>
-            <Text style={styles.value}>₹{(2000 - state.offlineBalance).toFixed(2)}</Text>
+            <Text style={styles.value}>{formatRupees(maxOfflineBalancePaise - state.offlineBalance)}</Text>
           </View>
         </Card.Content>
       </Card>
@@ -89,7 +92,7 @@ export default function LoadBalanceScreen({ navigation }) {
 
       <Text style={styles.hint}>
         Enter amount to transfer from main wallet to offline wallet.
-        Maximum offline balance: ₹2000
+        Maximum offline balance: {formatRupees(maxOfflineBalancePaise)}
       </Text>
 
       <Button
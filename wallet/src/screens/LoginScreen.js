@@ -2,10 +2,10 @@ import React, { useState } from 'react';
 import { View, StyleSheet, Alert, KeyboardAvoidingView, Platform, ScrollView } from 'react-native';
 import { Text, TextInput, Button, Card, HelperText } from 'react-native-paper';
 import { useApp } from '../context/AppContext';
-import AuthService from '../services/AuthService';
+import ApiClient, { ApiError } from '../services/ApiClient';
 
 export default function LoginScreen({ navigation }) {
-  const { setUser, setBalance } = useApp();
+  const { setUser, setBalance, ensureDeviceEnrolled, setPinVerifier } = useApp();
   const [phone, setPhone] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
@@ -34,26 +34,25 @@ export default function LoginScreen({ navigation }) {
 
     try {
       setLoading(true);
-      const response = await AuthService.login(phone, password);
-
-      if (response.success) {
-        // Store tokens securely
-        await AuthService.storeTokens(response.accessToken, response.refreshToken);
-        
-        // Update app state
-        setUser(response.user);
-        setBalance(response.user.balance, response.user.offlineBalance);
-        
-        // Navigate to home
-        navigation.reset({
-          index: 0,
-          routes: [{ name: 'Home' }],
-        });
+      const response = await ApiClient.login(phone, password);
+      await ensureDeviceEnrolled();
+      await setPinVerifier(response.user.pinVerifier);
+
+      // Update app state
+      setUser(response.user);
+      setBalance(response.user.balancePaise, response.user.offlineBalancePaise);
+
+      // Navigate to home; accounts that never confirmed their number do that first
+      navigation.reset({
+        index: 0,
+        routes: [{ name: response.user.isVerified ? 'Home' : 'VerifyPhone' }],
+      });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        Alert.alert('Login Failed', error.message);
       } else {
-        Alert.alert('Login Failed', response.error || 'Invalid credentials');
+        Alert.alert('Error', error.message);
       }
-    } catch (error) {
-      Alert.alert('Error', error.message || 'Network error. Please try again.');
     } finally {
       setLoading(false);
     }
@@ -134,6 +133,14 @@ export default function LoginScreen({ navigation }) {
             >
               Forgot Password?
             </Button>
+
+            <Button
+              mode="text"
+              onPress={() => navigation.navigate('RestoreKey')}
+              disabled={loading}
+            >
+              Restore Signing Key
+            </Button>
           </Card.Content>
         </Card>
 
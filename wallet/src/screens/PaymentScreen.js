@@ -1,29 +1,44 @@
 import React, { useState, useEffect } from 'react';
 import { View, StyleSheet, Alert, Vibration } from 'react-native';
-import { Text, TextInput, Button, Card, ActivityIndicator } from 'react-native-paper';
+import { Text, TextInput, Button, Card, ActivityIndicator, HelperText } from 'react-native-paper';
 import { useApp } from '../context/AppContext';
-import BLEService from '../services/BLEService';
+import { JOURNAL_STATES } from '../services/StorageService';
+import { ApiError } from '../services/ApiClient';
+import { parseRupees, toRupeeString, formatRupees } from '@tokpay/core';
 
 export default function PaymentScreen({ route, navigation }) {
-  const { merchantId, merchantName, bleId, amount: prefilledAmount } = route.params;
-  const { state, signPaymentToken, addTransaction, addPendingSync } = useApp();
+  const { merchantId, merchantName, bleId, amountPaise: prefilledPaise, tokenVersion } = route.params;
+  const {
+    state, getRemainingToday, beginPayment, deliverPayment, closePayment, checkPin, unlockPin,
+  } = useApp();
   
-  const [amount, setAmount] = useState(prefilledAmount?.toString() || '');
-  const [status, setStatus] = useState('idle'); // idle, connecting, sending, success, error
+  const [amount, setAmount] = useState(prefilledPaise ? toRupeeString(prefilledPaise) : '');
+  const [status, setStatus] = useState('idle'); // idle, pin, connecting, sending, success, error
   const [errorMessage, setErrorMessage] = useState('');
+  const [pin, setPin] = useState('');
+  const [pinError, setPinError] = useState('');
+  const [checkingPin, setCheckingPin] = useState(false);
+  const [openPayment, setOpenPayment] = useState(null); // Journal id of an interrupted payment
 
-  // Handle payment
+  // Validate the payment, then ask for the PIN
   const handlePay = async () => {
-    const payAmount = parseFloat(amount);
+    const payAmount = parseRupees(amount);
 
     // Validate amount
-    if (!payAmount || payAmount <= 0) {
+    if (!payAmount) {
       Alert.alert('Invalid Amount', 'Please enter a valid amount');
       return;
     }
 
-    if (payAmount > 500) {
-      Alert.alert('Limit Exceeded', 'Maximum offline payment is ₹500');
+    const { maxPaymentPaise } = state.policy;
+    if (payAmount > maxPaymentPaise) {
+      Alert.alert('Limit Exceeded', `Maximum offline payment is ${formatRupees(maxPaymentPaise)}`);
+      return;
+    }
+
+    const remainingToday = getRemainingToday();
+    if (payAmount > remainingToday) {
+      Alert.alert('Daily Limit Reached', `You can pay ${formatRupees(remainingToday)} more today`);
       return;
     }
 
@@ -32,53 +47,110 @@ export default function PaymentScreen({ route, navigation }) {
       return;
     }
 
+    // Merchants reject tokens without a valid balance certificate. Certificates
+    // from before integer paise have no amountPaise and need renewing too.
+    const { certificate } = state;
+    if (!certificate || certificate.expiresAt < Date.now() ||
+        certificate.publicKey !== state.keyPair?.publicKey || certificate.amountPaise === undefined) {
+      Alert.alert('Reload Required', 'Load offline balance while online to renew your wallet');
+      return;
+    }
+
+    if (!state.pin.verifier) {
+      Alert.alert('Set a PIN', 'Create a payment PIN before paying', [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Set PIN', onPress: () => navigation.navigate('SetPin') },
+      ]);
+      return;
+    }
+
+    // Nothing is signed until the PIN checks out
+    setPin('');
+    setPinError('');
+    setStatus('pin');
+  };
+
+  // Check the PIN offline, or online when too many wrong PINs locked it
+  const handlePinSubmit = async () => {
     try {
-      setStatus('connecting');
-      
-      // Connect to merchant via BLE
-      await BLEService.connect(bleId);
-      
-      setStatus('sending');
-      
-      // Sign the payment token
-      const token = signPaymentToken(merchantId, payAmount);
-      
-      if (!token) {
-        throw new Error('Failed to sign token');
+      setCheckingPin(true);
+
+      if (state.pin.locked) {
+        let response;
+        try {
+          response = await unlockPin(pin);
+        } catch (error) {
+          setPin('');
+          setPinError(error instanceof ApiError ? error.message : 'Connect to the internet to unlock payments');
+          return;
+        }
+        if (!response.valid) {
+          setPin('');
+          setPinError(`Wrong PIN. ${response.attemptsRemaining} attempts left`);
+          return;
+        }
+      } else {
+        const result = await checkPin(pin);
+        if (!result.valid) {
+          setPin('');
+          setPinError(result.locked
+            ? 'Too many wrong PINs. Payments are locked until you unlock them online.'
+            : `Wrong PIN. ${result.attemptsRemaining} attempts left`);
+          return;
+        }
       }
+    } finally {
+      setCheckingPin(false);
+    }
+
+    await startPayment(parseRupees(amount));
+  };
+
+  // Journal the payment before anything is signed, then deliver it
+  const startPayment = async (payAmount) => {
+    let paymentId;
+    try {
+      paymentId = await beginPayment({ merchantId, merchantName, bleId, amountPaise: payAmount, tokenVersion });
+    } catch (error) {
+      Alert.alert('Payment Failed', 'Could not start payment. Please try again.');
+      return;
+    }
+    setOpenPayment(paymentId);
+    await sendPayment(paymentId);
+  };
 
-      // Send token via BLE
-      const response = await BLEService.sendPayment(token);
+  // Connect to the merchant and hand over the signed token. Retrying an
+  // interrupted payment resends the same token rather than signing a new one.
+  const sendPayment = async (paymentId) => {
+    try {
+      setStatus('connecting');
       
-      if (response.success) {
+      const result = await deliverPayment(paymentId, { onSending: () => setStatus('sending') });
+      setOpenPayment(null);
+      
+      if (result.success) {
         setStatus('success');
         Vibration.vibrate(200);
-        
-        // Add to local transactions
-        addTransaction({
-          ...token,
-          merchantName,
-          status: 'completed',
-        });
-
-        // Add to pending sync queue
-        addPendingSync(token);
 
         // Navigate to success screen after delay
         setTimeout(() => {
           navigation.navigate('PaymentSuccess', {
-            amount: payAmount,
+            amountPaise: result.token.amountPaise,
             merchantName,
-            txnId: token.txnId,
+            txnId: result.token.txnId,
           });
         }, 1000);
       } else {
-        throw new Error(response.error || 'Payment failed');
+        throw new Error(result.error);
       }
 
     } catch (error) {
       setStatus('error');
       setErrorMessage(error.message);
+      if (error.paymentClosed) {
+        setOpenPayment(null);
+        return;
+      }
       
       // Retry with offline mode if BLE fails
       if (error.message.includes('BLE') || error.message.includes('connect')) {
@@ -89,7 +161,7 @@ export default function PaymentScreen({ route, navigation }) {
             { text: 'Cancel', style: 'cancel' },
             { 
               text: 'Save Offline', 
-              onPress: () => saveOfflinePayment(payAmount)
+              onPress: () => saveOfflinePayment(paymentId)
             },
           ]
         );
@@ -98,21 +170,43 @@ export default function PaymentScreen({ route, navigation }) {
   };
 
   // Save payment for later sync (when BLE fails)
-  const saveOfflinePayment = (payAmount) => {
-    const token = signPaymentToken(merchantId, payAmount);
-    
-    addTransaction({
-      ...token,
-      merchantName,
-      status: 'pending',
-    });
-    
-    addPendingSync(token);
+  const saveOfflinePayment = async (paymentId) => {
+    try {
+      await closePayment(paymentId, { sign: true });
+    } catch (error) {
+      Alert.alert('Payment Failed', error.message);
+      return;
+    } finally {
+      setOpenPayment(null);
+    }
     
     Alert.alert('Saved', 'Payment saved. Will sync when online.');
     navigation.navigate('Home');
   };
 
+  // Stop retrying. A token that may have reached the merchant is kept and
+  // settled when they sync, so it can't be paid twice by accident.
+  const cancelPayment = async () => {
+    let outcome;
+    try {
+      outcome = await closePayment(openPayment);
+    } catch (error) {
+      Alert.alert('Error', error.message);
+      return;
+    }
+    setOpenPayment(null);
+
+    if (outcome === JOURNAL_STATES.RECONCILE) {
+      Alert.alert(
+        'Payment Pending',
+        'The merchant may have received this payment. It will be confirmed when they sync.'
+      );
+      navigation.navigate('Home');
+    } else {
+      setStatus('idle');
+    }
+  };
+
   return (
     <View style={styles.container}>
       <Card style={styles.merchantCard}>
@@ -137,7 +231,7 @@ export default function PaymentScreen({ route, navigation }) {
           </View>
 
           <Text style={styles.available}>
-            Available: ₹{state.offlineBalance.toFixed(2)}
+            Available: {formatRupees(state.offlineBalance)}
           </Text>
 
           <Button
@@ -152,6 +246,45 @@ export default function PaymentScreen({ route, navigation }) {
         </>
       )}
 
+      {status === 'pin' && (
+        <View style={styles.pinContainer}>
+          <Text style={styles.pinPrompt}>
+            {state.pin.locked
+              ? 'Payments are locked after too many wrong PINs. Enter your PIN while online to unlock.'
+              : `Enter your PIN to pay ₹${amount}`}
+          </Text>
+          <TextInput
+            style={styles.pinInput}
+            value={pin}
+            onChangeText={(text) => {
+              setPin(text.replace(/[^0-9]/g, '').slice(0, 6));
+              setPinError('');
+            }}
+            keyboardType="number-pad"
+            secureTextEntry
+            mode="outlined"
+            autoFocus
+            disabled={checkingPin}
+          />
+          <HelperText type="error" visible={!!pinError}>
+            {pinError}
+          </HelperText>
+          <Button
+            mode="contained"
+            onPress={handlePinSubmit}
+            loading={checkingPin}
+            disabled={checkingPin || pin.length < 4}
+            style={styles.payButton}
+            contentStyle={styles.payButtonContent}
+          >
+            {state.pin.locked ? 'Unlock & Pay' : 'Confirm'}
+          </Button>
+          <Button mode="text" onPress={() => setStatus('idle')} disabled={checkingPin}>
+            Cancel
+          </Button>
+        </View>
+      )}
+
       {status === 'connecting' && (
         <View style={styles.statusContainer}>
           <ActivityIndicator size="large" color="#6200ee" />
@@ -177,9 +310,20 @@ export default function PaymentScreen({ route, navigation }) {
         <View style={styles.statusContainer}>
           <Text style={styles.errorIcon}>✗</Text>
           <Text style={styles.errorText}>{errorMessage}</Text>
-          <Button mode="outlined" onPress={() => setStatus('idle')}>
-            Try Again
-          </Button>
+          {openPayment ? (
+            <>
+              <Button mode="contained" onPress={() => sendPayment(openPayment)} style={styles.retryButton}>
+                Retry
+              </Button>
+              <Button mode="text" onPress={cancelPayment}>
+                Cancel Payment
+              </Button>
+            </>
+          ) : (
+            <Button mode="outlined" onPress={() => setStatus('idle')}>
+              Try Again
+            </Button>
+          )}
         </View>
       )}
     </View>
@@ -232,6 +376,21 @@ const styles = StyleSheet.create({
   payButtonContent: {
     paddingVertical: 10,
   },
+  pinContainer: {
+    flex: 1,
+    justifyContent: 'center',
+  },
+  pinPrompt: {
+    textAlign: 'center',
+    fontSize: 16,
+    color: '#333',
+    marginBottom: 20,
+  },
+  pinInput: {
+    fontSize: 24,
+    textAlign: 'center',
+    letterSpacing: 8,
+  },
   statusContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -263,4 +422,7 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginBottom: 20,
   },
+  retryButton: {
+    marginBottom: 8,
+  },
 });
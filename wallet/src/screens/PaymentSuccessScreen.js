@@ -1,9 +1,10 @@
 import React from 'react';
 import { View, StyleSheet } from 'react-native';
 import { Text, Button, Card } from 'react-native-paper';
+import { formatRupees } from '@tokpay/core';
 
 export default function PaymentSuccessScreen({ route, navigation }) {
-  const { amount, merchantName, txnId } = route.params;
+  const { amountPaise, merchantName, txnId } = route.params;
 
   return (
     <View style={styles.container}>
@@ -16,7 +17,7 @@ export default function PaymentSuccessScreen({ route, navigation }) {
         <Card.Content>
           <View style={styles.row}>
             <Text style={styles.label}>Amount</Text>
-            <Text style={styles.amount}>₹{amount}</Text>
+            <Text style={styles.amount}>{formatRupees(amountPaise)}</Text>
           </View>
           
           <View style={styles.row}>
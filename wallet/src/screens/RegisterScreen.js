@@ -2,10 +2,10 @@ import React, { useState } from 'react';
 import { View, StyleSheet, Alert, KeyboardAvoidingView, Platform, ScrollView } from 'react-native';
 import { Text, TextInput, Button, Card, HelperText, Checkbox } from 'react-native-paper';
 import { useApp } from '../context/AppContext';
-import AuthService from '../services/AuthService';
+import ApiClient, { ApiError } from '../services/ApiClient';
 
 export default function RegisterScreen({ navigation }) {
-  const { setUser, setBalance, state } = useApp();
+  const { setUser, setBalance, signChallenge, state } = useApp();
   const [name, setName] = useState('');
   const [phone, setPhone] = useState('');
   const [password, setPassword] = useState('');
@@ -59,40 +59,38 @@ export default function RegisterScreen({ navigation }) {
   const handleRegister = async () => {
     if (!validateInputs()) return;
 
+    // Keypair is generated on startup; the account is bound to it
+    if (!state.keyPair) return;
+
     try {
       setLoading(true);
 
-      // Get public key from app context (generated on startup)
-      const publicKey = state.keyPair?.publicKey || 'temp-public-key';
+      const publicKey = state.keyPair.publicKey;
+
+      // Prove to the server that we hold the matching secret key
+      const { challenge } = await ApiClient.getChallenge('register');
+      const signature = signChallenge('register', challenge);
+
+      // Logs the new account in
+      const response = await ApiClient.register(phone, password, name, publicKey, { challenge, signature });
 
-      const response = await AuthService.register(phone, password, name, publicKey);
+      // Update app state
+      setUser({ ...response.user, publicKey });
+      setBalance(100000, 0); // Starting balance of ₹1000
 
-      if (response.success) {
-        // Store tokens
-        await AuthService.storeTokens(response.accessToken, response.refreshToken);
-        
-        // Update app state
-        setUser({ phone, name, publicKey });
-        setBalance(1000, 0); // Starting balance
-        
-        Alert.alert(
-          'Registration Successful',
-          'Welcome to TokPay! Your account has been created.',
-          [
-            {
-              text: 'Continue',
-              onPress: () => navigation.reset({
-                index: 0,
-                routes: [{ name: 'Home' }],
-              })
-            }
-          ]
-        );
+      // The server has texted a code; confirm the number before going on
+      navigation.navigate('VerifyPhone', {
+        phone,
+        codeSent: true,
+        successTitle: 'Registration Successful',
+        successMessage: 'Welcome to TokPay! Your account has been created.',
+      });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        Alert.alert('Registration Failed', error.message);
       } else {
-        Alert.alert('Registration Failed', response.error || 'Please try again');
+        Alert.alert('Error', error.message);
       }
-    } catch (error) {
-      Alert.alert('Error', error.message || 'Network error. Please try again.');
     } finally {
       setLoading(false);
     }
@@ -242,12 +240,12 @@ export default function RegisterScreen({ navigation }) {
             <Button
               mode="contained"
               onPress={handleRegister}
-              loading={loading}
-              disabled={loading}
+              loading={loading || !state.keyPair}
+              disabled={loading || !state.keyPair}
               style={styles.registerButton}
               contentStyle={styles.buttonContent}
             >
-              Create Account
+              {state.keyPair ? 'Create Account' : 'Preparing secure key...'}
             </Button>
           </Card.Content>
         </Card>
@@ -2,11 +2,12 @@ import React, { useState, useEffect } from 'react';
 import { View, StyleSheet, Alert } from 'react-native';
 import { Text, ActivityIndicator } from 'react-native-paper';
 import QRCodeScanner from 'react-native-qrcode-scanner';
+import { negotiateTokenVersion, formatRupees } from '@tokpay/core';
 import { useApp } from '../context/AppContext';
 import BLEService from '../services/BLEService';
 
 export default function ScanQRScreen({ navigation }) {
-  const { state, signPaymentToken, addTransaction, addPendingSync } = useApp();
+  const { state } = useApp();
   const [scanning, setScanning] = useState(true);
   const [connecting, setConnecting] = useState(false);
   const [qrData, setQrData] = useState(null);
@@ -22,14 +23,22 @@ export default function ScanQRScreen({ navigation }) {
         throw new Error('Invalid QR code');
       }
 
-      // Check if QR expired (18 seconds)
+      // Check if QR expired
       const qrAge = Date.now() - data.timestamp;
-      if (qrAge > 18000) {
+      if (qrAge > state.policy.qrExpirySeconds * 1000) {
         Alert.alert('QR Expired', 'This QR code has expired. Please scan a new one.');
         setScanning(true);
         return;
       }
 
+      // The merchant lists the token versions it can verify
+      const tokenVersion = negotiateTokenVersion(data.tokenVersions);
+      if (tokenVersion === null) {
+        Alert.alert('Update Required', 'This merchant uses a newer TokPay version. Please update the app.');
+        setScanning(true);
+        return;
+      }
+
       setQrData(data);
       
       // Navigate to payment screen with merchant data
@@ -37,7 +46,8 @@ export default function ScanQRScreen({ navigation }) {
         merchantId: data.merchantId,
         merchantName: data.merchantName,
         bleId: data.bleId,
-        amount: data.amount, // Optional: pre-filled amount
+        amountPaise: data.amountPaise, // Optional: pre-filled amount
+        tokenVersion,
       });
 
     } catch (error) {
@@ -60,7 +70,7 @@ export default function ScanQRScreen({ navigation }) {
             bottomContent={
               <View style={styles.bottomContent}>
                 <Text style={styles.balance}>
-                  Available: ₹{state.offlineBalance.toFixed(2)}
+                  Available: {formatRupees(state.offlineBalance)}
                 </Text>
               </View>
             }
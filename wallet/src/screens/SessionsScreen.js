@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, StyleSheet, Alert, ScrollView } from 'react-native';
+import { Text, Card, Title, Button, Chip, ActivityIndicator } from 'react-native-paper';
+import { useApp } from '../context/AppContext';
+import ApiClient, { SESSION_REVOKED } from '../services/ApiClient';
+
+export default function SessionsScreen() {
+  const { state, logout } = useApp();
+  const [devices, setDevices] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const handleError = useCallback((error, fallback) => {
+    if (error.code === SESSION_REVOKED) {
+      Alert.alert('Session Ended', error.message);
+      logout();
+      return;
+    }
+    Alert.alert('Error', error.message || fallback);
+  }, [logout]);
+
+  const loadData = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [deviceData, sessionData] = await Promise.all([
+        ApiClient.getDevices(),
+        ApiClient.getSessions(),
+      ]);
+      setDevices(deviceData.devices || []);
+      setSessions(sessionData.sessions || []);
+    } catch (error) {
+      handleError(error, 'Failed to load devices');
+    } finally {
+      setLoading(false);
+    }
+  }, [handleError]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const runAction = async (action, fallback) => {
+    try {
+      await action();
+      await loadData();
+    } catch (error) {
+      handleError(error, fallback);
+    }
+  };
+
+  const confirmRetire = (device) => {
+    Alert.alert(
+      'Retire Device',
+      `${device.label} will no longer be able to sign payments.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Retire',
+          style: 'destructive',
+          onPress: () => runAction(() => ApiClient.retireDevice(device.id), 'Failed to retire device'),
+        },
+      ]
+    );
+  };
+
+  const confirmRevokeOthers = () => {
+    Alert.alert(
+      'Sign Out Other Sessions',
+      'Every other phone logged in to this account will have to login again.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Sign Out',
+          style: 'destructive',
+          onPress: () => runAction(() => ApiClient.revokeOtherSessions(), 'Failed to sign out sessions'),
+        },
+      ]
+    );
+  };
+
+  if (loading && devices.length === 0 && sessions.length === 0) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#6200ee" />
+      </View>
+    );
+  }
+
+  const otherSessions = sessions.filter((session) => !session.current);
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      {/* Signing keys */}
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>Signing Keys</Title>
+          {devices.map((device) => {
+            const isThisDevice = device.publicKey === state.keyPair?.publicKey;
+            return (
+              <View key={device.id} style={styles.row}>
+                <View style={styles.rowText}>
+                  <Text style={styles.label}>{device.label}</Text>
+                  <Text style={styles.meta}>
+                    Added {new Date(device.createdAt).toLocaleDateString()}
+                  </Text>
+                </View>
+                {isThisDevice ? (
+                  <Chip style={styles.chip}>This device</Chip>
+                ) : device.status === 'active' ? (
+                  <Button mode="text" onPress={() => confirmRetire(device)}>
+                    Retire
+                  </Button>
+                ) : (
+                  <Chip style={styles.chip}>{device.status}</Chip>
+                )}
+              </View>
+            );
+          })}
+        </Card.Content>
+      </Card>
+
+      {/* Logged in sessions */}
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>Sessions</Title>
+          {sessions.map((session) => (
+            <View key={session.id} style={styles.row}>
+              <View style={styles.rowText}>
+                <Text style={styles.label}>{session.deviceLabel}</Text>
+                <Text style={styles.meta}>
+                  Signed in {new Date(session.createdAt).toLocaleString()}
+                </Text>
+                <Text style={styles.meta}>
+                  Last active {new Date(session.lastUsedAt).toLocaleString()}
+                </Text>
+              </View>
+              {session.current ? (
+                <Chip style={styles.chip}>This session</Chip>
+              ) : (
+                <Button
+                  mode="text"
+                  onPress={() => runAction(() => ApiClient.revokeSession(session.id), 'Failed to sign out session')}
+                >
+                  Sign Out
+                </Button>
+              )}
+            </View>
+          ))}
+
+          <Button
+            mode="outlined"
+            onPress={confirmRevokeOthers}
+            disabled={otherSessions.length === 0}
+            style={styles.button}
+          >
+            Sign Out All Other Sessions
+          </Button>
+        </Card.Content>
+      </Card>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    padding: 16,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  card: {
+    marginBottom: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  rowText: {
+    flex: 1,
+    marginRight: 8,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  meta: {
+    color: '#666',
+    fontSize: 12,
+  },
+  chip: {
+    backgroundColor: '#ede7f6',
+  },
+  button: {
+    marginTop: 16,
+  },
+});
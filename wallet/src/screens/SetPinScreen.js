@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { StyleSheet, Alert, ScrollView } from 'react-native';
+import { Text, TextInput, Button, Card, HelperText } from 'react-native-paper';
+import { useApp } from '../context/AppContext';
+import ApiClient, { ApiError } from '../services/ApiClient';
+import PinService from '../services/PinService';
+
+export default function SetPinScreen({ navigation }) {
+  const { state, setPinVerifier } = useApp();
+  const [password, setPassword] = useState('');
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSetPin = async () => {
+    const pinError = PinService.validatePin(pin);
+    if (pinError) {
+      setError(pinError);
+      return;
+    }
+
+    if (pin !== confirmPin) {
+      setError('PINs do not match');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await ApiClient.setPin(pin, password);
+      await setPinVerifier(response.pinVerifier);
+      Alert.alert('PIN Set', 'You will be asked for this PIN before every payment.', [
+        { text: 'OK', onPress: () => navigation.goBack() },
+      ]);
+    } catch (err) {
+      if (err instanceof ApiError) {
+        setError(err.message);
+      } else {
+        Alert.alert('Error', err.message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <Text style={styles.intro}>
+        {state.pin.verifier
+          ? 'Choose a new payment PIN. It replaces your current one.'
+          : 'Choose a 4-6 digit PIN. You will enter it before every payment, even offline.'}
+      </Text>
+
+      <Card style={styles.card}>
+        <Card.Content>
+          <TextInput
+            label="Account Password"
+            value={password}
+            onChangeText={(text) => {
+              setPassword(text);
+              setError('');
+            }}
+            secureTextEntry
+            mode="outlined"
+            style={styles.input}
+            disabled={loading}
+          />
+          <TextInput
+            label="New PIN"
+            value={pin}
+            onChangeText={(text) => {
+              setPin(text.replace(/[^0-9]/g, '').slice(0, 6));
+              setError('');
+            }}
+            keyboardType="number-pad"
+            secureTextEntry
+            mode="outlined"
+            style={styles.input}
+            disabled={loading}
+          />
+          <TextInput
+            label="Confirm PIN"
+            value={confirmPin}
+            onChangeText={(text) => {
+              setConfirmPin(text.replace(/[^0-9]/g, '').slice(0, 6));
+              setError('');
+            }}
+            keyboardType="number-pad"
+            secureTextEntry
+            mode="outlined"
+            style={styles.input}
+            disabled={loading}
+          />
+          <HelperText type="error" visible={!!error}>
+            {error}
+          </HelperText>
+
+          <Button
+            mode="contained"
+            onPress={handleSetPin}
+            loading={loading}
+            disabled={loading || !password || !pin}
+            style={styles.button}
+          >
+            Save PIN
+          </Button>
+        </Card.Content>
+      </Card>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    padding: 20,
+    backgroundColor: '#fff',
+  },
+  intro: {
+    color: '#666',
+    fontSize: 14,
+    marginBottom: 20,
+  },
+  card: {
+    marginBottom: 16,
+  },
+  input: {
+    marginBottom: 8,
+  },
+  button: {
+    marginTop: 12,
+  },
+});
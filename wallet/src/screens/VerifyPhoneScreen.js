@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, Alert, KeyboardAvoidingView, Platform, ScrollView } from 'react-native';
+import { Text, TextInput, Button, Card, HelperText } from 'react-native-paper';
+import { useApp } from '../context/AppContext';
+import ApiClient, { ApiError } from '../services/ApiClient';
+
+// Matches the server's resend cooldown
+const RESEND_SECONDS = 60;
+
+// Confirm the account's phone number with a texted code. Reached right
+// after registering (the server has already sent a code), and from login or
+// any screen the server refuses with PHONE_UNVERIFIED (accounts from before
+// verification, or registrations left before the code was entered).
+export default function VerifyPhoneScreen({ navigation, route }) {
+  const { setUser, state } = useApp();
+  const {
+    phone = state.user?.phone,
+    codeSent = false,
+    successTitle = 'Phone Verified',
+    successMessage = 'You can now load offline balance and sync payments.',
+    continueLabel = 'Continue',
+  } = route.params || {};
+  const [otp, setOtp] = useState('');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [resendIn, setResendIn] = useState(codeSent ? RESEND_SECONDS : 0);
+
+  // Count down until another code may be requested
+  useEffect(() => {
+    if (resendIn <= 0) return undefined;
+    const timer = setTimeout(() => setResendIn(resendIn - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
+  useEffect(() => {
+    if (!codeSent) {
+      sendCode();
+    }
+  }, []);
+
+  const finish = () => {
+    setUser({ ...state.user, isVerified: true });
+    Alert.alert(successTitle, successMessage, [
+      {
+        text: continueLabel,
+        onPress: () => navigation.reset({
+          index: 0,
+          routes: [{ name: 'Home' }],
+        })
+      }
+    ]);
+  };
+
+  const sendCode = async () => {
+    try {
+      setLoading(true);
+      await ApiClient.sendVerificationCode();
+      setOtp('');
+      setError(null);
+      setResendIn(RESEND_SECONDS);
+    } catch (err) {
+      if (err instanceof ApiError) {
+        if (err.code === 'already_verified') {
+          finish();
+          return;
+        }
+        setError(err.message);
+        if (err.body.retryAfter) {
+          setResendIn(err.body.retryAfter);
+        }
+      } else {
+        Alert.alert('Error', err.message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVerify = async () => {
+    try {
+      setLoading(true);
+      await ApiClient.verifyPhone(otp);
+      finish();
+    } catch (err) {
+      if (err instanceof ApiError) {
+        setError(err.message);
+      } else {
+        Alert.alert('Error', err.message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={styles.container}
+    >
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <View style={styles.header}>
+          <Text style={styles.logo}>TokPay</Text>
+          <Text style={styles.tagline}>Verify Your Phone</Text>
+        </View>
+
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text style={styles.verifyText}>
+              Enter the 6-digit code we sent to +91 {phone}
+            </Text>
+            <TextInput
+              label="Verification Code"
+              value={otp}
+              onChangeText={(text) => {
+                setOtp(text.replace(/[^0-9]/g, '').slice(0, 6));
+                setError(null);
+              }}
+              keyboardType="number-pad"
+              mode="outlined"
+              style={styles.input}
+              error={!!error}
+              disabled={loading}
+            />
+            <HelperText type="error" visible={!!error}>
+              {error}
+            </HelperText>
+
+            <Button
+              mode="contained"
+              onPress={handleVerify}
+              loading={loading}
+              disabled={loading || otp.length !== 6}
+              style={styles.verifyButton}
+              contentStyle={styles.buttonContent}
+            >
+              Verify
+            </Button>
+            <Button
+              mode="text"
+              onPress={sendCode}
+              disabled={loading || resendIn > 0}
+            >
+              {resendIn > 0 ? `Resend code in ${resendIn}s` : 'Resend code'}
+            </Button>
+          </Card.Content>
+        </Card>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#6200ee',
+  },
+  scrollContent: {
+    flexGrow: 1,
+    padding: 20,
+    paddingTop: 40,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  logo: {
+    fontSize: 36,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  tagline: {
+    fontSize: 16,
+    color: '#e0e0e0',
+    marginTop: 4,
+  },
+  card: {
+    borderRadius: 16,
+    elevation: 4,
+  },
+  input: {
+    marginBottom: 4,
+  },
+  verifyButton: {
+    marginTop: 16,
+  },
+  buttonContent: {
+    paddingVertical: 8,
+  },
+  verifyText: {
+    color: '#666',
+    marginBottom: 12,
+  },
+});
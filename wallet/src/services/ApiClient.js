@@ -0,0 +1,32 @@
+import { Platform } from 'react-native';
+import * as Keychain from 'react-native-keychain';
+import ApiClient from '@tokpay/api-client';
+
+export { ApiError, NetworkError, SESSION_EXPIRED, SESSION_REVOKED, PHONE_UNVERIFIED } from '@tokpay/api-client';
+
+const BASE_URL = 'http://localhost:3000/api';
+const TOKEN_SERVICE = 'tokpay-auth-tokens';
+
+// Names this install in the account's device and session lists
+export const DEVICE_LABEL = `${Platform.OS === 'ios' ? 'iPhone' : 'Android'} wallet`;
+
+// Session tokens live in the keychain
+const tokenStore = {
+  async load() {
+    const credentials = await Keychain.getGenericPassword({ service: TOKEN_SERVICE });
+    return credentials ? JSON.parse(credentials.password) : null;
+  },
+  async save(tokens) {
+    await Keychain.setGenericPassword('tokens', JSON.stringify(tokens), { service: TOKEN_SERVICE });
+  },
+  async clear() {
+    await Keychain.resetGenericPassword({ service: TOKEN_SERVICE });
+  },
+};
+
+export default new ApiClient({
+  baseUrl: BASE_URL,
+  accountType: 'user',
+  deviceLabel: DEVICE_LABEL,
+  tokenStore,
+});
@@ -1,5 +1,6 @@
 import { BleManager } from 'react-native-ble-plx';
 import { Buffer } from 'buffer';
+import { encodeToken } from '@tokpay/core';
 
 // BLE Service and Characteristic UUIDs (must match merchant app)
 const TOKPAY_SERVICE_UUID = '12345678-1234-5678-1234-56789abcdef0';
@@ -83,9 +84,8 @@ class BLEService {
     }
 
     try {
-      // Convert token to base64
-      const tokenString = JSON.stringify(token);
-      const tokenBase64 = Buffer.from(tokenString).toString('base64');
+      // Binary for version 2 tokens, JSON for merchants still on version 1
+      const tokenBase64 = Buffer.from(encodeToken(token)).toString('base64');
 
       // Write token to payment characteristic
       await this.device.writeCharacteristicWithResponseForService(
@@ -0,0 +1,24 @@
+import { validatePassphrase, encryptKeyBackup, decryptKeyBackup } from '@tokpay/core';
+
+// Passphrase-encrypted recovery blobs for the signing key. The format is in
+// @tokpay/core; a blob carries the next counter so a restored key continues
+// from there instead of signing a counter it already used.
+class KeyBackupService {
+  // Returns an error message, or null if the passphrase is acceptable
+  validatePassphrase(passphrase) {
+    return validatePassphrase(passphrase);
+  }
+
+  // Encrypt the signing key and the next counter it would sign with into a
+  // recovery blob
+  exportKey(keyPair, nextCounter, passphrase) {
+    return encryptKeyBackup(keyPair, nextCounter, passphrase);
+  }
+
+  // Decrypt a recovery blob back into { keyPair, nextCounter }
+  importKey(blobText, passphrase) {
+    return decryptKeyBackup(blobText, passphrase);
+  }
+}
+
+export default new KeyBackupService();
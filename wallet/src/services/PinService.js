@@ -0,0 +1,39 @@
+import naclUtil from 'tweetnacl-util';
+import { scrypt } from 'scrypt-js';
+
+// Offline check of the payment PIN against the verifier the server issues from
+// set-pin. Must match buildPinVerifier on the backend.
+const VERIFIER_VERSION = 1;
+const HASH_LENGTH = 32;
+
+// Wrong PINs allowed before offline payments lock until an online unlock
+export const MAX_PIN_ATTEMPTS = 5;
+
+class PinService {
+  // Returns an error message, or null if the PIN is acceptable
+  validatePin(pin) {
+    if (!/^\d{4,6}$/.test(pin || '')) {
+      return 'PIN must be 4-6 digits';
+    }
+    return null;
+  }
+
+  // Check a PIN against a verifier without going online
+  async matches(pin, verifier) {
+    if (!verifier || verifier.version !== VERIFIER_VERSION) {
+      return false;
+    }
+
+    const hash = await scrypt(
+      naclUtil.decodeUTF8(pin),
+      naclUtil.decodeBase64(verifier.salt),
+      verifier.N,
+      verifier.r,
+      verifier.p,
+      HASH_LENGTH
+    );
+    return naclUtil.encodeBase64(hash) === verifier.hash;
+  }
+}
+
+export default new PinService();
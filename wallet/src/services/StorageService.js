@@ -0,0 +1,249 @@
+import SQLite from 'react-native-sqlite-storage';
+
+SQLite.enablePromise(true);
+
+const DB_NAME = 'tokpay-wallet.db';
+
+// Everything the wallet must not lose on a restart: the payment counter,
+// payment history, the queue of tokens not yet synced and the journal of
+// payments in flight. Counters belong to a signing key (the server tracks
+// them per device); the rest per payer.
+
+// Journal states, in order. A payment ends acknowledged (the merchant took
+// it), failed (no token left the phone, or the merchant refused it) or
+// reconcile (a token may be out there; the server settles it on sync).
+export const JOURNAL_STATES = {
+  INTENT: 'intent',
+  SIGNED: 'signed',
+  SENT: 'sent',
+  ACKNOWLEDGED: 'acknowledged',
+  FAILED: 'failed',
+  RECONCILE: 'reconcile',
+};
+
+const OPEN_STATES = [JOURNAL_STATES.INTENT, JOURNAL_STATES.SIGNED, JOURNAL_STATES.SENT];
+
+function journalEntry(row) {
+  return {
+    id: row.id,
+    merchantId: row.merchant_id,
+    merchantName: row.merchant_name,
+    bleId: row.ble_id,
+    amountPaise: row.amount_paise,
+    tokenVersion: row.token_version,
+    state: row.state,
+    token: row.token ? JSON.parse(row.token) : null,
+    error: row.error,
+    createdAt: row.created_at,
+  };
+}
+
+class StorageService {
+  constructor() {
+    this.db = null;
+    this.opening = null;
+    this.counterQueue = Promise.resolve();
+  }
+
+  // Open the database and create its tables on first use
+  async open() {
+    if (this.db) return this.db;
+
+    if (!this.opening) {
+      this.opening = (async () => {
+        const db = await SQLite.openDatabase({ name: DB_NAME, location: 'default' });
+        await db.executeSql(`
+          CREATE TABLE IF NOT EXISTS counters (
+            public_key TEXT PRIMARY KEY,
+            next_counter INTEGER NOT NULL
+          )
+        `);
+        await db.executeSql(`
+          CREATE TABLE IF NOT EXISTS transactions (
+            txn_id TEXT PRIMARY KEY,
+            phone TEXT NOT NULL,
+            data TEXT NOT NULL,
+            created_at INTEGER NOT NULL
+          )
+        `);
+        await db.executeSql(`
+          CREATE TABLE IF NOT EXISTS sync_queue (
+            txn_id TEXT PRIMARY KEY,
+            phone TEXT NOT NULL,
+            token TEXT NOT NULL,
+            created_at INTEGER NOT NULL
+          )
+        `);
+        await db.executeSql(`
+          CREATE TABLE IF NOT EXISTS payment_journal (
+            id TEXT PRIMARY KEY,
+            phone TEXT NOT NULL,
+            merchant_id TEXT NOT NULL,
+            merchant_name TEXT,
+            ble_id TEXT,
+            amount_paise INTEGER NOT NULL,
+            token_version INTEGER NOT NULL,
+            state TEXT NOT NULL,
+            token TEXT,
+            error TEXT,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL
+          )
+        `);
+        this.db = db;
+        return db;
+      })();
+      // Let a failed open be retried
+      this.opening.catch(() => {
+        this.opening = null;
+      });
+    }
+    return this.opening;
+  }
+
+  async query(sql, params = []) {
+    const db = await this.open();
+    const [result] = await db.executeSql(sql, params);
+    const rows = [];
+    for (let i = 0; i < result.rows.length; i++) {
+      rows.push(result.rows.item(i));
+    }
+    return rows;
+  }
+
+  // Next counter this key would sign with
+  async getCounter(publicKey) {
+    const [row] = await this.query('SELECT next_counter FROM counters WHERE public_key = ?', [publicKey]);
+    return row ? row.next_counter : 0;
+  }
+
+  // Take the next counter for a key and store its successor before returning,
+  // so a counter is never handed out twice, even across a crash. `minimum` is
+  // the first counter the server has not seen (from the balance certificate),
+  // which matters after a restored key starts on a fresh install.
+  // Reservations are queued so two payments can't read the same value.
+  reserveCounter(publicKey, minimum = 0) {
+    const reservation = this.counterQueue.then(async () => {
+      const counter = Math.max(await this.getCounter(publicKey), minimum);
+      await this.query('INSERT OR REPLACE INTO counters (public_key, next_counter) VALUES (?, ?)', [
+        publicKey,
+        counter + 1,
+      ]);
+      return counter;
+    });
+    this.counterQueue = reservation.catch(() => {});
+    return reservation;
+  }
+
+  // Make sure a key never signs below `next`, e.g. a key restored from a
+  // backup continuing from the counter saved in it. Queued with reservations.
+  raiseCounter(publicKey, next) {
+    const update = this.counterQueue.then(async () => {
+      if (next > (await this.getCounter(publicKey))) {
+        await this.query('INSERT OR REPLACE INTO counters (public_key, next_counter) VALUES (?, ?)', [
+          publicKey,
+          next,
+        ]);
+      }
+    });
+    this.counterQueue = update.catch(() => {});
+    return update;
+  }
+
+  // Payment history, newest first
+  async getTransactions(phone) {
+    const rows = await this.query(
+      'SELECT data FROM transactions WHERE phone = ? ORDER BY created_at DESC',
+      [phone]
+    );
+    return rows.map((row) => JSON.parse(row.data));
+  }
+
+  async saveTransaction(phone, txn) {
+    await this.query(
+      'INSERT OR REPLACE INTO transactions (txn_id, phone, data, created_at) VALUES (?, ?, ?, ?)',
+      [txn.txnId, phone, JSON.stringify(txn), txn.timestamp || Date.now()]
+    );
+  }
+
+  // Signed tokens waiting to reach the server, oldest first
+  async getPendingSync(phone) {
+    const rows = await this.query(
+      'SELECT token FROM sync_queue WHERE phone = ? ORDER BY created_at',
+      [phone]
+    );
+    return rows.map((row) => JSON.parse(row.token));
+  }
+
+  async addPendingSync(phone, token) {
+    await this.query(
+      'INSERT OR REPLACE INTO sync_queue (txn_id, phone, token, created_at) VALUES (?, ?, ?, ?)',
+      [token.txnId, phone, JSON.stringify(token), token.timestamp || Date.now()]
+    );
+  }
+
+  async clearPendingSync(phone) {
+    await this.query('DELETE FROM sync_queue WHERE phone = ?', [phone]);
+  }
+
+  // Write-ahead journal: record what the payer asked for before anything is
+  // signed, so a restart can tell what happened to it. `tokenVersion` is the
+  // one negotiated with the merchant.
+  async createPaymentIntent(phone, { merchantId, merchantName, bleId, amountPaise, tokenVersion = 1 }) {
+    const now = Date.now();
+    const id = `PAY-${now}-${Math.random().toString(36).substr(2, 9)}`;
+    await this.query(
+      `INSERT INTO payment_journal
+         (id, phone, merchant_id, merchant_name, ble_id, amount_paise, token_version, state, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, phone, merchantId, merchantName, bleId, amountPaise, tokenVersion, JOURNAL_STATES.INTENT, now, now]
+    );
+    return id;
+  }
+
+  async getJournalEntry(id) {
+    const [row] = await this.query('SELECT * FROM payment_journal WHERE id = ?', [id]);
+    return row ? journalEntry(row) : null;
+  }
+
+  // Payments that were interrupted before reaching an outcome, oldest first
+  async getOpenPayments(phone) {
+    const rows = await this.query(
+      `SELECT * FROM payment_journal WHERE phone = ? AND state IN (${OPEN_STATES.map(() => '?').join(', ')})
+       ORDER BY created_at`,
+      [phone, ...OPEN_STATES]
+    );
+    return rows.map(journalEntry);
+  }
+
+  // Move a journal entry on. The token is only ever set once, when signed.
+  async setJournalState(id, state, { token, error } = {}) {
+    await this.query(
+      `UPDATE payment_journal
+       SET state = ?, token = COALESCE(token, ?), error = ?, updated_at = ?
+       WHERE id = ?`,
+      [state, token ? JSON.stringify(token) : null, error || null, Date.now(), id]
+    );
+  }
+
+  // End a payment whose token is out (acknowledged or reconcile): the journal
+  // outcome, the history entry and the sync queue entry are written together
+  async settlePayment(id, state, phone, transaction) {
+    const db = await this.open();
+    const now = Date.now();
+    const { merchantName, status, ...token } = transaction;
+    await db.transaction((tx) => {
+      tx.executeSql('UPDATE payment_journal SET state = ?, updated_at = ? WHERE id = ?', [state, now, id]);
+      tx.executeSql(
+        'INSERT OR REPLACE INTO transactions (txn_id, phone, data, created_at) VALUES (?, ?, ?, ?)',
+        [transaction.txnId, phone, JSON.stringify(transaction), transaction.timestamp]
+      );
+      tx.executeSql(
+        'INSERT OR REPLACE INTO sync_queue (txn_id, phone, token, created_at) VALUES (?, ?, ?, ?)',
+        [token.txnId, phone, JSON.stringify(token), token.timestamp]
+      );
+    });
+  }
+}
+
+export default new StorageService();